@@ -22,21 +22,93 @@ const CONFIG = {
         duration: 5000,        // 5 segundos
         targetFrames: 50,      // Mínimo 50 frames
         quality: 0.8,          // Calidad JPEG (0.1 - 1.0)
-        format: 'image/jpeg'   // Formato de imagen
+        format: 'image/jpeg',  // Formato de imagen
+        width: 640,            // Ancho de los frames exportados
+        height: 480,           // Alto de los frames exportados
+        fitMode: 'crop',       // crop (recorte centrado) | letterbox (bandas negras)
+        sampling: 'live',      // live (instantes uniformes) | nearest | blend (remuestreo)
+        nativePollInterval: 15, // Sondeo de frames nativos sin requestVideoFrameCallback (ms)
+        preRollFrames: 0,      // Frames previos al inicio que se añaden a cada toma
+        lengthMode: 'fixed',   // fixed (duración fija) | manual (hasta detener o maxDuration)
+        maxDuration: 10000,    // Duración máxima de una toma manual (ms)
+        normalizeOnExport: false, // Reducir o ampliar cada toma a targetFrames al exportar
+        recordClip: true       // Grabar también cada toma como video WebM
     },
     
     // Configuración de video
     video: {
-        width: { exact: 640 },
-        height: { exact: 480 },
-        facingMode: 'user'
+        facingMode: 'user',
+        // Clip WebM de cada toma: formatos por orden de preferencia
+        clipMimeTypes: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'],
+        clipBitrate: 2500000,   // bits/s del clip WebM de cada toma
+        // Resoluciones "ideal" que se prueban si la cámara rechaza la configurada
+        fallbackResolutions: [
+            { width: 1280, height: 720 },
+            { width: 640, height: 480 },
+            { width: 320, height: 240 }
+        ],
+        deviceStorageKey: 'script-frames-camera'
     },
     
     // Configuración de archivos
     files: {
         maxNameLength: 50,
-        allowedChars: /^[a-zA-Z0-9_-]+$/,
-        zipDateFormat: 'YYYY-MM-DD'
+        allowedChars: /^[a-zA-Z0-9_-]+$/,   // Identificadores de signante
+        // Las señas admiten cualquier nombre; en las rutas del ZIP se usa un slug seguro
+        slug: {
+            mode: 'ascii',                 // ascii (año → ano) | unicode (conserva letras: año)
+            customMap: '',                 // Transliteraciones propias: "ñ=ny, ü=u"
+            collision: 'suffix',           // suffix (hola, hola_2) | error
+            storageKey: 'script-frames-sign-slugs',   // Slugs con sufijo de la última exportación
+            // Nombres que Windows no permite como archivo o carpeta, con o sin extensión.
+            // ¹²³ solo llegan al slug en modo unicode (\p{N}); en ascii se convierten en _
+            reserved: /^(con|prn|aux|nul|com[0-9¹²³]|lpt[0-9¹²³])(\..*)?$/i,
+            transliterations: {
+                'ß': 'ss', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'ø': 'o', 'Ø': 'O',
+                'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'þ': 'th', 'Þ': 'TH'
+            }
+        },
+        zipDateFormat: 'YYYY-MM-DD',
+        signerLayout: 'folder',    // folder (seña/S01/seña_001) | prefix (seña/S01_seña_001) | none
+        checksumsFile: 'checksums.sha256',
+        downloadWarningSize: 500 * 1024 * 1024,   // Sin selector de archivo el ZIP se arma en memoria
+        padding: 3,                // Dígitos de {take} y {frame}
+        // Plantillas de nombres: {sign}, {signer}, {take}, {frame}, {date}, {time}
+        templates: {
+            archive: '{sign}_{date}',
+            recording: '{sign}_{take}',
+            frame: 'frame_{frame}'
+        },
+        templateTokens: {
+            archive: ['sign', 'date', 'time'],
+            recording: ['sign', 'signer', 'take', 'date', 'time'],
+            frame: ['sign', 'signer', 'take', 'frame', 'date', 'time']
+        },
+        // Token obligatorio para que dos tomas o dos frames no compartan nombre
+        requiredTokens: {
+            recording: 'take',
+            frame: 'frame'
+        },
+        maxTemplateLength: 100
+    },
+
+    // División train/val/test al exportar
+    split: {
+        enabled: false,
+        names: ['train', 'val', 'test'],
+        ratios: { train: 0.7, val: 0.15, test: 0.15 },
+        seed: 42,
+        bySigner: false,           // Reparte signantes enteros en lugar de grabaciones
+        maxDeviation: 0.1          // Diferencia con la proporción configurada a partir de la que se avisa
+    },
+
+    // Perfiles de signantes
+    signers: {
+        storageKey: 'script-frames-signers',
+        activeStorageKey: 'script-frames-active-signer',
+        maxIdLength: 32,
+        noSignerId: 'sin_signante',  // Valor de {signer} y grupo de la división para tomas sin signante
+        hands: ['right', 'left', 'both']
     },
     
     // Configuración de UI
@@ -45,6 +117,77 @@ const CONFIG = {
         statusDisplayDuration: 3000,
         animationDuration: 300,
         countdownDuration: 3000     // Timer de 3 segundos antes de grabar
+    },
+
+    // Modo vocabulario (lista de señas)
+    queue: {
+        defaultRepetitions: 5,
+        maxRepetitions: 100,
+        maxSigns: 500,
+        zipBaseName: 'vocabulario'
+    },
+
+    // Persistencia local (IndexedDB)
+    storage: {
+        dbName: 'script-frames',
+        dbVersion: 2,
+        sessionKey: 'current'
+    },
+
+    // Subida opcional a un servidor de recogida (la descarga local sigue siendo lo predeterminado)
+    upload: {
+        enabled: false,
+        url: '',
+        token: '',
+        mode: 'zip',               // zip (un ZIP por grabación, en trozos) | multipart (frames por lotes)
+        chunkSize: 1024 * 1024,    // Bytes por petición en modo zip
+        framesPerChunk: 10,        // Archivos por petición en modo multipart
+        maxRetries: 8,
+        retryBaseDelay: 2000,      // Espera del primer reintento; se duplica en cada fallo
+        retryMaxDelay: 60000,
+        requestTimeout: 30000
+    },
+
+    // Región de interés fijada sobre la vista previa
+    roi: {
+        outputWidth: 224,          // Tamaño de salida cuando hay una región fijada
+        outputHeight: 224,
+        minSize: 0.05              // Lado mínimo de la región, en fracción del video
+    },
+
+    // Modo manos libres: disparo por movimiento
+    handsFree: {
+        storageKey: 'script-frames-hands-free',
+        pollInterval: 100,         // ms entre comparaciones de la vista previa
+        analysisWidth: 80,         // La vista previa se reduce a este ancho para comparar
+        restDuration: 1000,        // ms quieto antes de armar el disparo
+        defaultSensitivity: 5,
+        minSensitivity: 1,
+        maxSensitivity: 10
+    },
+
+    // Control de calidad de cada toma
+    qualityCheck: {
+        analysisWidth: 160,                         // Los frames se reducen a este ancho para analizarlos
+        sharpness: { warning: 60, reject: 20 },     // Varianza del laplaciano (mediana de la toma)
+        brightness: { warning: 60, reject: 30 },    // Luminancia media 0-255
+        motion: { warning: 2, reject: 0.5 }         // Diferencia media por píxel entre frames únicos 0-255
+    },
+
+    // Ajustes editables desde la vista de configuración (localStorage)
+    settings: {
+        storageKey: 'script-frames-settings',
+        formats: ['image/jpeg', 'image/webp', 'image/png'],
+        fitModes: ['crop', 'letterbox'],
+        samplingModes: ['live', 'nearest', 'blend'],
+        maxFps: 60,
+        maxPreRollFrames: 30,
+        lengthModes: ['fixed', 'manual'],
+        signerLayouts: ['folder', 'prefix', 'none'],
+        maxPadding: 6,
+        slugModes: ['ascii', 'unicode'],
+        slugCollisions: ['suffix', 'error'],
+        uploadModes: ['zip', 'multipart']
     }
 };
 
@@ -74,7 +217,66 @@ const AppState = {
     // Estado de la cámara
     camera: {
         stream: null,
-        isInitialized: false
+        isInitialized: false,
+        source: 'camera',      // camera | file
+        fileUrl: null,
+        fileName: '',
+        deviceId: null,
+        trackSettings: null,   // Resolución real negociada con la cámara
+        preRoll: [],           // Últimos frames de la vista previa: [{ bitmap, time }]
+        preRollTimer: null
+    },
+
+    // Estado del modo vocabulario
+    queue: {
+        isActive: false,
+        signs: [],          // [{ name, target, recorded }]
+        index: 0,
+        isComplete: false,
+        archive: {}         // Grabaciones de señas anteriores si no hay IndexedDB
+    },
+
+    // Estado del worker de codificación
+    encoder: {
+        worker: null,
+        isReady: false,
+        nextId: 1,
+        pending: new Map()  // id -> { resolve, reject }
+    },
+
+    // Región de interés dibujada sobre la vista previa (coordenadas normalizadas 0-1)
+    roi: {
+        rect: null,            // { x, y, width, height }
+        isEditing: false,
+        isLocked: false,
+        dragStart: null
+    },
+
+    // Estado del modo manos libres
+    handsFree: {
+        isEnabled: false,
+        state: 'off',          // off | waiting | armed | recording
+        sensitivity: 5,
+        timer: null,
+        previous: null,        // Luminancia del último frame comparado
+        restSince: null,
+        canvas: null,
+        ctx: null
+    },
+
+    // Cola de subidas al servidor
+    upload: {
+        jobs: [],              // Grabaciones pendientes de subir (también en IndexedDB)
+        isRunning: false,
+        timer: null,           // Próximo reintento
+        completed: 0
+    },
+
+    // Estado de la persistencia
+    storage: {
+        db: null,
+        isAvailable: false,
+        pendingSession: null
     },
     
     // Estado de la aplicación
@@ -115,14 +317,68 @@ const Utils = {
             };
         }
         
-        if (!CONFIG.files.allowedChars.test(trimmedName)) {
+        if (/[\p{Cc}\p{Cf}]/u.test(trimmedName)) {
+            return { 
+                isValid: false, 
+                error: 'El nombre no puede contener caracteres de control' 
+            };
+        }
+
+        const slug = this.slugify(trimmedName);
+        if (!slug) {
             return { 
                 isValid: false, 
-                error: 'El nombre solo puede contener letras, números, guiones (-) y guiones bajos (_)' 
+                error: 'El nombre debe contener al menos una letra o un número' 
             };
         }
         
-        return { isValid: true, name: trimmedName };
+        return { isValid: true, name: trimmedName, slug };
+    },
+
+    /**
+     * Nombre seguro para rutas a partir del nombre visible de una seña
+     * ("¿Cómo estás?" → "Como_estas" en modo ascii, "Cómo_estás" en modo unicode)
+     * @param {string} name - Nombre visible
+     * @param {Object} options - Opciones de CONFIG.files.slug
+     * @returns {string} Slug (puede quedar vacío si el nombre no tiene letras ni números)
+     */
+    slugify(name, options = CONFIG.files.slug) {
+        const custom = this.parseTransliterations(options.customMap).map;
+        const map = options.mode === 'ascii' ? { ...options.transliterations, ...custom } : custom;
+
+        let slug = [...name.normalize('NFC').trim()].map(char => map[char] ?? char).join('');
+        slug = options.mode === 'ascii'
+            ? slug.normalize('NFD').replace(/\p{M}/gu, '').replace(/[^a-zA-Z0-9_-]+/g, '_')
+            : slug.replace(/[^\p{L}\p{M}\p{N}_-]+/gu, '_');
+
+        slug = slug
+            .replace(/_+/g, '_')
+            .replace(/^[_-]+|[_-]+$/g, '')
+            .slice(0, CONFIG.files.maxNameLength);
+
+        // "con" o "aux.txt" no se pueden crear en Windows: "con_" sí
+        return options.reserved && options.reserved.test(slug) ? `${slug}_` : slug;
+    },
+
+    /**
+     * Interpreta una lista de transliteraciones "ñ=ny, ü=u"
+     * @param {string} text - Lista separada por comas
+     * @returns {Object} map (carácter → texto) y errores
+     */
+    parseTransliterations(text) {
+        const map = {};
+        const errors = [];
+
+        (text || '').split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+            const [from, to = ''] = pair.split('=').map(part => part.trim().normalize('NFC'));
+            if ([...from].length !== 1 || !/^[a-zA-Z0-9_-]*$/.test(to)) {
+                errors.push(`Transliteración no válida: "${pair}" (usa un carácter = letras, números, - o _)`);
+                return;
+            }
+            map[from] = to;
+        });
+
+        return { map, errors };
     },
 
     /**
@@ -131,19 +387,237 @@ const Utils = {
      * @param {number} digits - Número de dígitos
      * @returns {string} Número formateado
      */
-    padNumber(num, digits = 3) {
+    padNumber(num, digits = CONFIG.files.padding) {
         return String(num).padStart(digits, '0');
     },
 
     /**
-     * Genera un nombre de archivo único
-     * @param {string} baseName - Nombre base
+     * Genera el nombre del ZIP con la plantilla CONFIG.files.templates.archive
+     * @param {string} baseName - Nombre base ({sign})
      * @param {string} extension - Extensión del archivo
-     * @returns {string} Nombre de archivo único
+     * @returns {string} Nombre de archivo
      */
     generateFileName(baseName, extension = 'zip') {
-        const timestamp = new Date().toISOString().split('T')[0];
-        return `${baseName}_${timestamp}.${extension}`;
+        const name = this.renderTemplate(CONFIG.files.templates.archive, {
+            sign: baseName,
+            ...this.getDateTokens(new Date())
+        });
+        return `${name}.${extension}`;
+    },
+
+    /**
+     * Valores de {date} y {time} (UTC, sin caracteres problemáticos en rutas)
+     * @param {Date} date - Fecha
+     * @returns {Object} { date: YYYY-MM-DD, time: HH-MM-SS }
+     */
+    getDateTokens(date) {
+        const iso = (Number.isFinite(date.getTime()) ? date : new Date()).toISOString();
+        return { date: iso.slice(0, 10), time: iso.slice(11, 19).replace(/:/g, '-') };
+    },
+
+    /**
+     * Sustituye los tokens {nombre} de una plantilla
+     * @param {string} template - Plantilla
+     * @param {Object} values - Valor de cada token
+     * @returns {string} Texto resultante
+     */
+    renderTemplate(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, token) => values[token] ?? match);
+    },
+
+    /**
+     * Valida una plantilla de nombres: tokens conocidos, token obligatorio para evitar
+     * colisiones y rutas seguras (sin '..', rutas absolutas ni caracteres especiales)
+     * @param {string} kind - archive, recording o frame
+     * @param {string} template - Plantilla
+     * @returns {Object} Resultado de validación
+     */
+    validateTemplate(kind, template) {
+        const labels = { archive: 'del ZIP', recording: 'de las grabaciones', frame: 'de los frames' };
+        const fail = error => ({ isValid: false, error: `Plantilla ${labels[kind]}: ${error}` });
+        const value = (template || '').trim();
+
+        if (!value) {
+            return fail('no puede estar vacía');
+        }
+        if (value.length > CONFIG.files.maxTemplateLength) {
+            return fail(`no puede tener más de ${CONFIG.files.maxTemplateLength} caracteres`);
+        }
+
+        const allowed = CONFIG.files.templateTokens[kind];
+        const tokens = [...value.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+        const unknown = tokens.filter(token => !allowed.includes(token));
+        if (unknown.length > 0) {
+            return fail(`token no permitido {${unknown[0]}} (admite ${allowed.map(token => `{${token}}`).join(', ')})`);
+        }
+
+        const required = CONFIG.files.requiredTokens[kind];
+        if (required && !tokens.includes(required)) {
+            return fail(`debe incluir {${required}} para que los nombres no se repitan`);
+        }
+
+        // Solo las grabaciones pueden crear subcarpetas
+        const literal = value.replace(/\{\w+\}/g, '');
+        const allowedChars = kind === 'recording' ? /^[a-zA-Z0-9_\-.\/]*$/ : /^[a-zA-Z0-9_\-.]*$/;
+        if (!allowedChars.test(literal)) {
+            return fail(kind === 'recording'
+                ? 'solo admite letras, números, guiones, puntos y / para subcarpetas'
+                : 'solo admite letras, números, guiones y puntos');
+        }
+        if (value.split('/').some(segment => !segment || segment.startsWith('.'))) {
+            return fail('no puede contener rutas vacías, absolutas ni que empiecen por punto');
+        }
+        // Windows quita el punto final y dos nombres distintos acabarían en la misma carpeta
+        if (value.split('/').some(segment => segment.endsWith('.'))) {
+            return fail('ninguna carpeta ni nombre puede terminar en punto');
+        }
+
+        return { isValid: true, template: value };
+    },
+
+    /**
+     * Obtiene la extensión de archivo de un tipo MIME de imagen
+     * @param {string} mimeType - Tipo MIME (image/jpeg, image/png...)
+     * @returns {string} Extensión sin punto
+     */
+    getFileExtension(mimeType) {
+        const extensions = {
+            'image/jpeg': 'jpg',
+            'image/png': 'png',
+            'image/webp': 'webp'
+        };
+        return extensions[mimeType] || 'jpg';
+    },
+
+    /**
+     * Tipo MIME real de un frame codificado
+     * @param {Blob|string} data - Frame (Blob o data URL de grabaciones antiguas)
+     * @returns {string|null} Tipo MIME, o null si no se puede saber
+     */
+    getFrameMimeType(data) {
+        if (data instanceof Blob) {
+            return data.type || null;
+        }
+
+        const match = typeof data === 'string' ? data.match(/^data:([^;,]+)/) : null;
+        return match ? match[1] : null;
+    },
+
+    /**
+     * Comprueba qué formato produce realmente el navegador al pedir uno:
+     * toBlob y toDataURL vuelven a PNG en silencio si no saben codificarlo
+     * @param {string} mimeType - Formato pedido
+     * @returns {Promise<string>} Formato producido
+     */
+    async probeImageFormat(mimeType) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 2;
+        canvas.height = 2;
+        const blob = await this.canvasToBlob(canvas, mimeType, CONFIG.recording.quality);
+        return blob.type;
+    },
+
+    /**
+     * Codifica el contenido de un canvas como Blob
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas a codificar
+     * @param {string} type - Tipo MIME de la imagen
+     * @param {number} quality - Calidad (0.1 - 1.0)
+     * @returns {Promise<Blob>} Imagen codificada
+     */
+    canvasToBlob(canvas, type, quality) {
+        if (typeof canvas.convertToBlob === 'function') {
+            return canvas.convertToBlob({ type, quality });
+        }
+
+        // toBlob copia el contenido al llamarlo: el canvas puede reutilizarse enseguida
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('El navegador no pudo codificar el frame'));
+                }
+            }, type, quality);
+        });
+    },
+
+    /**
+     * Decodifica un frame guardado (Blob o data URL de grabaciones antiguas)
+     * @param {Blob|string} data - Datos del frame
+     * @returns {Promise<ImageBitmap|HTMLImageElement>} Imagen lista para dibujar
+     */
+    async decodeFrame(data) {
+        if (data instanceof Blob && typeof createImageBitmap === 'function') {
+            return createImageBitmap(data);
+        }
+
+        if (data instanceof Blob) {
+            const url = URL.createObjectURL(data);
+            try {
+                return await this.loadImage(url);
+            } finally {
+                URL.revokeObjectURL(url);
+            }
+        }
+
+        return this.loadImage(data);
+    },
+
+    /**
+     * Carga una imagen desde una URL (data URL u object URL)
+     * @param {string} src - URL de la imagen
+     * @returns {Promise<HTMLImageElement>} Imagen decodificada
+     */
+    loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('No se pudo decodificar la imagen'));
+            image.src = src;
+        });
+    },
+
+    /**
+     * Generador pseudoaleatorio con semilla (mulberry32): mismo orden con la misma semilla
+     * @param {number} seed - Semilla entera
+     * @returns {Function} Función que devuelve números en [0, 1)
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Baraja una copia de la lista (Fisher-Yates)
+     * @param {Array} items - Elementos
+     * @param {Function} random - Generador de createRandom
+     * @returns {Array} Copia barajada
+     */
+    shuffle(items, random) {
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    },
+
+    /**
+     * Convierte una lista de valores en una línea CSV
+     * @param {Array} values - Valores de la fila
+     * @returns {string} Línea CSV con los valores escapados
+     */
+    toCsvRow(values) {
+        return values.map(value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',');
     },
 
     /**
@@ -154,6 +628,20 @@ const Utils = {
         return CONFIG.recording.duration / CONFIG.recording.targetFrames;
     },
 
+    /**
+     * SHA-256 en hexadecimal con crypto.subtle (solo en contextos seguros)
+     * @param {ArrayBuffer|Uint8Array} buffer - Contenido
+     * @returns {Promise<string>} Hash en hexadecimal
+     */
+    async sha256(buffer) {
+        if (!globalThis.crypto || !crypto.subtle) {
+            throw new Error('crypto.subtle no está disponible (la página debe servirse por HTTPS o localhost)');
+        }
+
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
     /**
      * Muestra un mensaje de error
      * @param {string} message - Mensaje de error
@@ -232,672 +720,6237 @@ const Utils = {
 };
 
 // =================================================================
-// GESTIÓN DE LA INTERFAZ DE USUARIO
+// AJUSTES DE CAPTURA
 // =================================================================
 
 /**
- * Controlador de la interfaz de usuario
+ * Controlador de los ajustes editables, guardados en localStorage
  */
-const UIController = {
-    /**
-     * Inicializa los elementos del DOM
-     */
-    async init() {
-        AppState.elements.video = document.getElementById('video');
-        AppState.elements.canvas = document.getElementById('canvas');
-        AppState.elements.ctx = AppState.elements.canvas.getContext('2d');
-        
-        this.bindEvents();
-        
-        // Esperar a que las librerías se carguen
-        Utils.log('Esperando a que se carguen las librerías...');
-        const librariesLoaded = await Utils.waitForLibraries();
-        
-        if (!librariesLoaded) {
-            this.showLibraryError();
-            return;
-        }
-        
-        Utils.log('UI inicializada correctamente');
+const SettingsController = {
+    // Valores de fábrica, tomados de CONFIG antes de aplicar ajustes guardados
+    defaults: {
+        duration: CONFIG.recording.duration,
+        targetFrames: CONFIG.recording.targetFrames,
+        quality: CONFIG.recording.quality,
+        format: CONFIG.recording.format,
+        width: CONFIG.recording.width,
+        height: CONFIG.recording.height,
+        fitMode: CONFIG.recording.fitMode,
+        sampling: CONFIG.recording.sampling,
+        preRollFrames: CONFIG.recording.preRollFrames,
+        lengthMode: CONFIG.recording.lengthMode,
+        maxDuration: CONFIG.recording.maxDuration,
+        normalizeOnExport: CONFIG.recording.normalizeOnExport,
+        recordClip: CONFIG.recording.recordClip,
+        roiWidth: CONFIG.roi.outputWidth,
+        roiHeight: CONFIG.roi.outputHeight,
+        signerLayout: CONFIG.files.signerLayout,
+        splitEnabled: CONFIG.split.enabled,
+        splitTrain: Math.round(CONFIG.split.ratios.train * 100),
+        splitVal: Math.round(CONFIG.split.ratios.val * 100),
+        splitTest: Math.round(CONFIG.split.ratios.test * 100),
+        splitSeed: CONFIG.split.seed,
+        splitBySigner: CONFIG.split.bySigner,
+        archiveTemplate: CONFIG.files.templates.archive,
+        recordingTemplate: CONFIG.files.templates.recording,
+        frameTemplate: CONFIG.files.templates.frame,
+        padding: CONFIG.files.padding,
+        slugMode: CONFIG.files.slug.mode,
+        slugMap: CONFIG.files.slug.customMap,
+        slugCollision: CONFIG.files.slug.collision,
+        uploadEnabled: CONFIG.upload.enabled,
+        uploadUrl: CONFIG.upload.url,
+        uploadToken: CONFIG.upload.token,
+        uploadMode: CONFIG.upload.mode,
+        countdownDuration: CONFIG.ui.countdownDuration
     },
 
+    // Formato que produce el navegador para cada formato pedido (se rellena al iniciar)
+    formatSupport: {},
+
     /**
-     * Muestra error de librerías con opciones de solución
+     * Carga los ajustes guardados y los aplica a CONFIG
      */
-    showLibraryError() {
-        const libCheck = Utils.validateLibraries();
-        let missingLibs = [];
-        
-        if (!libCheck.libraries.JSZip) missingLibs.push('JSZip');
-        if (!libCheck.libraries.saveAs) missingLibs.push('FileSaver');
-        
-        Utils.log('Librerías faltantes:', missingLibs);
-        
-        // Intentar cargar FileSaver manualmente como último recurso
-        if (!libCheck.libraries.saveAs) {
-            Utils.log('Intentando cargar FileSaver manualmente...');
-            this.loadFileSaverManually();
-            
-            // Esperar un poco más para ver si se carga
-            setTimeout(() => {
-                const finalCheck = Utils.validateLibraries();
-                if (!finalCheck.allLoaded) {
-                    const errorMsg = `No se pudieron cargar las librerías: ${missingLibs.join(', ')}.\n\n` +
-                                    `Soluciones:\n` +
-                                    `1. Recarga la página (F5)\n` +
-                                    `2. Verifica tu conexión a internet\n` +
-                                    `3. Desactiva temporalmente el antivirus/bloqueador\n` +
-                                    `4. Prueba en modo incógnito`;
-                    
-                    Utils.showError(errorMsg);
-                    this.showReloadButton();
-                } else {
-                    Utils.log('FileSaver cargado manualmente con éxito');
-                    // Continuar con la inicialización
-                    Utils.log('UI inicializada correctamente (con carga manual)');
-                }
-            }, 2000);
-        } else {
-            const errorMsg = `No se pudieron cargar las librerías: ${missingLibs.join(', ')}.\n\n` +
-                            `Soluciones:\n` +
-                            `1. Recarga la página (F5)\n` +
-                            `2. Verifica tu conexión a internet\n` +
-                            `3. Desactiva temporalmente el antivirus/bloqueador`;
-            
-            Utils.showError(errorMsg);
-            this.showReloadButton();
+    init() {
+        const saved = this.load();
+
+        if (saved) {
+            const validation = this.validate({ ...this.defaults, ...saved });
+            if (validation.isValid) {
+                this.apply(validation.values);
+                Utils.log('Ajustes guardados aplicados', validation.values);
+            } else {
+                Utils.log('Ajustes guardados no válidos, se usan los valores por defecto', validation.errors);
+            }
         }
+
+        this.fillForm(this.getCurrent());
+        UIController.updateCaptureSummary();
+        this.probeFormats();
     },
 
     /**
-     * Carga FileSaver manualmente como último recurso
+     * Comprueba qué formatos de imagen sabe codificar el navegador y marca
+     * los que no en el selector
      */
-    loadFileSaverManually() {
-        // Implementación básica de saveAs que siempre funciona
-        window.saveAs = function(blob, filename) {
+    async probeFormats() {
+        for (const format of CONFIG.settings.formats) {
             try {
-                Utils.log(`Descargando archivo: ${filename} (${(blob.size / 1024).toFixed(2)} KB)`);
-                
-                const a = document.createElement('a');
-                const url = URL.createObjectURL(blob);
-                a.href = url;
-                a.download = filename;
-                a.style.display = 'none';
-                
-                document.body.appendChild(a);
-                a.click();
-                document.body.removeChild(a);
-                
-                // Limpiar URL después de un tiempo
-                setTimeout(() => {
-                    try {
-                        URL.revokeObjectURL(url);
-                    } catch (e) {
-                        // Ignorar errores de cleanup
-                    }
-                }, 1000);
-                
-                Utils.log('Archivo descargado exitosamente');
-                
+                this.recordFormatSupport(format, await Utils.probeImageFormat(format));
             } catch (error) {
-                Utils.log('Error en descarga manual:', error);
-                throw new Error('No se pudo descargar el archivo. Intenta con otro navegador.');
+                Utils.log(`No se pudo comprobar el formato ${format}`, error);
             }
-        };
-        
-        Utils.log('FileSaver implementado manualmente');
+        }
+
+        this.showFormatSupport();
     },
 
     /**
-     * Muestra un botón para recargar la página
+     * Añade lo que produce el worker de codificación, que usa OffscreenCanvas y puede
+     * no soportar los mismos formatos que el canvas del hilo principal
+     * @param {Object} formats - Formato pedido → formato producido en el worker
      */
-    showReloadButton() {
-        const container = document.querySelector('.container');
-        if (container) {
-            const reloadDiv = document.createElement('div');
-            reloadDiv.innerHTML = `
-                <div class="info-box" style="background-color: #ffebee; border-color: #f44336;">
-                    <h3>⚠️ Error cargando recursos</h3>
-                    <p>No se pudieron cargar las librerías necesarias.</p>
-                    <button class="btn btn-primary" onclick="location.reload()" style="margin-top: 15px;">
-                        🔄 Recargar página
-                    </button>
-                </div>
-            `;
-            container.appendChild(reloadDiv);
+    applyWorkerFormats(formats) {
+        Object.entries(formats || {}).forEach(([format, produced]) => this.recordFormatSupport(format, produced));
+        this.showFormatSupport();
+    },
+
+    /**
+     * Guarda el formato producido; si una de las dos vías (hilo principal o worker)
+     * no lo soporta, se marca como no soportado aunque la otra sí
+     * @param {string} format - Formato pedido
+     * @param {string} produced - Formato producido
+     */
+    recordFormatSupport(format, produced) {
+        const current = this.formatSupport[format];
+        if (!current || current === format) {
+            this.formatSupport[format] = produced;
         }
     },
 
     /**
-     * Vincula eventos del DOM
+     * Marca en el selector los formatos no soportados
      */
-    bindEvents() {
-        // Enter en el campo de texto
-        const signNameInput = document.getElementById('signName');
-        if (signNameInput) {
-            signNameInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    AppController.startRecording();
-                }
+    showFormatSupport() {
+        const select = document.getElementById('settingFormat');
+        if (select) {
+            Array.from(select.options).forEach(option => {
+                const unsupported = !this.isFormatSupported(option.value);
+                option.disabled = unsupported;
+                option.textContent = option.textContent.replace(/ \(no soportado\)$/, '') +
+                                     (unsupported ? ' (no soportado)' : '');
             });
         }
 
-        // Cleanup al cerrar la página
-        window.addEventListener('beforeunload', () => {
-            CameraController.cleanup();
-        });
+        if (!this.isFormatSupported(CONFIG.recording.format)) {
+            Utils.log(`El navegador no codifica ${CONFIG.recording.format}; produce ${this.formatSupport[CONFIG.recording.format]}`);
+            UIController.updateCaptureSummary();
+        }
+
+        Utils.log('Formatos de imagen soportados', this.formatSupport);
     },
 
     /**
-     * Cambia entre vistas
-     * @param {string} viewName - Nombre de la vista
+     * Indica si el navegador produce de verdad el formato pedido
+     * @param {string} format - Tipo MIME
+     * @returns {boolean} True si está soportado o aún no se ha comprobado
      */
-    switchView(viewName) {
-        const views = ['initialView', 'recordingView'];
-        
-        views.forEach(view => {
-            const element = document.getElementById(view);
-            if (element) {
-                element.style.display = view === `${viewName}View` ? 'block' : 'none';
-            }
-        });
-        
-        AppState.app.currentView = viewName;
-        Utils.log(`Vista cambiada a: ${viewName}`);
+    isFormatSupported(format) {
+        const produced = this.formatSupport[format];
+        return !produced || produced === format;
     },
 
     /**
-     * Actualiza el estado de la interfaz
-     * @param {string} message - Mensaje de estado
-     * @param {string} type - Tipo de estado (idle, recording, error)
+     * Lee los ajustes de localStorage
+     * @returns {Object|null} Ajustes guardados o null
      */
-    updateStatus(message, type = 'idle') {
-        const statusElement = document.getElementById('status');
-        if (statusElement) {
-            statusElement.textContent = message;
-            statusElement.className = `status status-${type}`;
+    load() {
+        try {
+            const raw = localStorage.getItem(CONFIG.settings.storageKey);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            Utils.log('No se pudieron leer los ajustes guardados', error);
+            return null;
         }
-        
-        Utils.log(`Estado actualizado: ${message} (${type})`);
     },
 
     /**
-     * Actualiza el contador de grabaciones
+     * Ajustes vigentes según CONFIG
+     * @returns {Object} Ajustes actuales
      */
-    updateRecordingCounter() {
-        const counterElement = document.getElementById('recordingCounter');
-        if (counterElement) {
-            counterElement.textContent = AppState.recording.counter;
-        }
+    getCurrent() {
+        return {
+            duration: CONFIG.recording.duration,
+            targetFrames: CONFIG.recording.targetFrames,
+            quality: CONFIG.recording.quality,
+            format: CONFIG.recording.format,
+            width: CONFIG.recording.width,
+            height: CONFIG.recording.height,
+            fitMode: CONFIG.recording.fitMode,
+            sampling: CONFIG.recording.sampling,
+            preRollFrames: CONFIG.recording.preRollFrames,
+            lengthMode: CONFIG.recording.lengthMode,
+            maxDuration: CONFIG.recording.maxDuration,
+            normalizeOnExport: CONFIG.recording.normalizeOnExport,
+            recordClip: CONFIG.recording.recordClip,
+            roiWidth: CONFIG.roi.outputWidth,
+            roiHeight: CONFIG.roi.outputHeight,
+            signerLayout: CONFIG.files.signerLayout,
+            splitEnabled: CONFIG.split.enabled,
+            splitTrain: Math.round(CONFIG.split.ratios.train * 100),
+            splitVal: Math.round(CONFIG.split.ratios.val * 100),
+            splitTest: Math.round(CONFIG.split.ratios.test * 100),
+            splitSeed: CONFIG.split.seed,
+            splitBySigner: CONFIG.split.bySigner,
+            archiveTemplate: CONFIG.files.templates.archive,
+            recordingTemplate: CONFIG.files.templates.recording,
+            frameTemplate: CONFIG.files.templates.frame,
+            padding: CONFIG.files.padding,
+            slugMode: CONFIG.files.slug.mode,
+            slugMap: CONFIG.files.slug.customMap,
+            slugCollision: CONFIG.files.slug.collision,
+            uploadEnabled: CONFIG.upload.enabled,
+            uploadUrl: CONFIG.upload.url,
+            uploadToken: CONFIG.upload.token,
+            uploadMode: CONFIG.upload.mode,
+            countdownDuration: CONFIG.ui.countdownDuration
+        };
     },
 
     /**
-     * Actualiza la barra de progreso
-     * @param {number} progress - Progreso (0-100)
+     * Valida un conjunto de ajustes
+     * @param {Object} values - Ajustes a validar
+     * @returns {Object} Resultado de validación con los valores normalizados
      */
-    updateProgress(progress) {
-        const progressBar = document.getElementById('progressBar');
-        const progressFill = document.getElementById('progressFill');
-        
-        if (progressBar && progressFill) {
-            progressBar.style.display = progress > 0 ? 'block' : 'none';
-            progressFill.style.width = `${Math.min(progress, 100)}%`;
+    validate(values) {
+        const errors = [];
+        const normalized = {
+            duration: Math.round(Number(values.duration)),
+            targetFrames: Math.round(Number(values.targetFrames)),
+            quality: Number(values.quality),
+            format: values.format,
+            width: Math.round(Number(values.width)),
+            height: Math.round(Number(values.height)),
+            fitMode: values.fitMode,
+            sampling: values.sampling,
+            preRollFrames: Math.round(Number(values.preRollFrames)),
+            lengthMode: values.lengthMode,
+            maxDuration: Math.round(Number(values.maxDuration)),
+            normalizeOnExport: Boolean(values.normalizeOnExport),
+            recordClip: Boolean(values.recordClip),
+            roiWidth: Math.round(Number(values.roiWidth)),
+            roiHeight: Math.round(Number(values.roiHeight)),
+            signerLayout: values.signerLayout,
+            splitEnabled: Boolean(values.splitEnabled),
+            splitTrain: Math.round(Number(values.splitTrain)),
+            splitVal: Math.round(Number(values.splitVal)),
+            splitTest: Math.round(Number(values.splitTest)),
+            splitSeed: Math.round(Number(values.splitSeed)),
+            splitBySigner: Boolean(values.splitBySigner),
+            archiveTemplate: String(values.archiveTemplate || '').trim(),
+            recordingTemplate: String(values.recordingTemplate || '').trim(),
+            frameTemplate: String(values.frameTemplate || '').trim(),
+            padding: Math.round(Number(values.padding)),
+            slugMode: values.slugMode,
+            slugMap: String(values.slugMap || '').trim(),
+            slugCollision: values.slugCollision,
+            uploadEnabled: Boolean(values.uploadEnabled),
+            uploadUrl: String(values.uploadUrl || '').trim(),
+            uploadToken: String(values.uploadToken || '').trim(),
+            uploadMode: values.uploadMode,
+            countdownDuration: Math.round(Number(values.countdownDuration))
+        };
+
+        const inRange = (value, min, max) => Number.isFinite(value) && value >= min && value <= max;
+
+        if (!inRange(normalized.duration, 500, 30000)) {
+            errors.push('La duración debe estar entre 0,5 y 30 segundos');
+        }
+        if (!inRange(normalized.targetFrames, 1, 1000)) {
+            errors.push('El número de frames debe estar entre 1 y 1000');
+        }
+        if (errors.length === 0) {
+            const fps = normalized.targetFrames / (normalized.duration / 1000);
+            if (fps > CONFIG.settings.maxFps) {
+                errors.push(`Demasiados frames para esa duración (${fps.toFixed(1)} FPS, máximo ${CONFIG.settings.maxFps})`);
+            }
+        }
+        if (!inRange(normalized.quality, 0.1, 1)) {
+            errors.push('La calidad debe estar entre 0,1 y 1');
+        }
+        if (!CONFIG.settings.formats.includes(normalized.format)) {
+            errors.push('Formato de imagen no soportado');
+        } else if (!this.isFormatSupported(normalized.format)) {
+            errors.push(`Este navegador no puede codificar ${Utils.getFileExtension(normalized.format).toUpperCase()} ` +
+                        `(produciría ${Utils.getFileExtension(this.formatSupport[normalized.format]).toUpperCase()})`);
+        }
+        if (!inRange(normalized.width, 16, 3840) || !inRange(normalized.height, 16, 2160)) {
+            errors.push('La resolución debe estar entre 16x16 y 3840x2160');
+        }
+        if (!inRange(normalized.roiWidth, 16, 3840) || !inRange(normalized.roiHeight, 16, 2160)) {
+            errors.push('El tamaño de salida de la región debe estar entre 16x16 y 3840x2160');
+        }
+        if (!CONFIG.settings.signerLayouts.includes(normalized.signerLayout)) {
+            errors.push('Estructura de carpetas por signante no soportada');
+        }
+        if (![normalized.splitTrain, normalized.splitVal, normalized.splitTest].every(ratio => inRange(ratio, 0, 100)) ||
+            normalized.splitTrain + normalized.splitVal + normalized.splitTest !== 100) {
+            errors.push('Los porcentajes de train/val/test deben sumar 100');
+        }
+        if (!inRange(normalized.splitSeed, 0, 2 ** 32 - 1)) {
+            errors.push('La semilla de la división debe ser un entero positivo');
+        }
+        errors.push(...this.validateNaming(normalized));
+        if (!CONFIG.settings.slugModes.includes(normalized.slugMode)) {
+            errors.push('Modo de nombres de carpeta no soportado');
+        }
+        if (!CONFIG.settings.slugCollisions.includes(normalized.slugCollision)) {
+            errors.push('Tratamiento de nombres repetidos no soportado');
+        }
+        errors.push(...Utils.parseTransliterations(normalized.slugMap).errors);
+        if (normalized.uploadEnabled || normalized.uploadUrl) {
+            let url = null;
+            try {
+                url = new URL(normalized.uploadUrl);
+            } catch (error) {
+                url = null;
+            }
+            if (!url || !['http:', 'https:'].includes(url.protocol)) {
+                errors.push('La dirección de subida debe ser una URL http:// o https://');
+            }
+        }
+        if (!CONFIG.settings.uploadModes.includes(normalized.uploadMode)) {
+            errors.push('Modo de subida no soportado');
+        }
+        if (!CONFIG.settings.fitModes.includes(normalized.fitMode)) {
+            errors.push('Modo de ajuste de imagen no soportado');
+        }
+        if (!CONFIG.settings.samplingModes.includes(normalized.sampling)) {
+            errors.push('Modo de muestreo no soportado');
+        }
+        if (!inRange(normalized.preRollFrames, 0, CONFIG.settings.maxPreRollFrames)) {
+            errors.push(`Los frames de pre-roll deben estar entre 0 y ${CONFIG.settings.maxPreRollFrames}`);
+        }
+        if (!CONFIG.settings.lengthModes.includes(normalized.lengthMode)) {
+            errors.push('Modo de duración no soportado');
+        }
+        if (!inRange(normalized.maxDuration, 500, 60000)) {
+            errors.push('La duración máxima debe estar entre 0,5 y 60 segundos');
+        }
+        if (!inRange(normalized.countdownDuration, 0, 10000)) {
+            errors.push('La cuenta atrás debe estar entre 0 y 10 segundos');
         }
+
+        return { isValid: errors.length === 0, errors, values: normalized };
     },
 
     /**
-     * Controla el estado de los botones
-     * @param {Object} buttonStates - Estados de los botones
+     * Aplica unos ajustes ya validados a CONFIG
+     * @param {Object} values - Ajustes validados
      */
-    setButtonStates(buttonStates) {
-        Object.entries(buttonStates).forEach(([buttonId, disabled]) => {
-            const button = document.getElementById(buttonId);
-            if (button) {
-                button.disabled = disabled;
-            }
-        });
+    apply(values) {
+        CONFIG.recording.duration = values.duration;
+        CONFIG.recording.targetFrames = values.targetFrames;
+        CONFIG.recording.quality = values.quality;
+        CONFIG.recording.format = values.format;
+        CONFIG.recording.width = values.width;
+        CONFIG.recording.height = values.height;
+        CONFIG.recording.fitMode = values.fitMode;
+        CONFIG.recording.sampling = values.sampling;
+        CONFIG.recording.preRollFrames = values.preRollFrames;
+        CONFIG.recording.lengthMode = values.lengthMode;
+        CONFIG.recording.maxDuration = values.maxDuration;
+        CONFIG.recording.normalizeOnExport = values.normalizeOnExport;
+        CONFIG.recording.recordClip = values.recordClip;
+        CONFIG.roi.outputWidth = values.roiWidth;
+        CONFIG.roi.outputHeight = values.roiHeight;
+        CONFIG.files.signerLayout = values.signerLayout;
+        CONFIG.split.enabled = values.splitEnabled;
+        CONFIG.split.ratios = {
+            train: values.splitTrain / 100,
+            val: values.splitVal / 100,
+            test: values.splitTest / 100
+        };
+        CONFIG.split.seed = values.splitSeed;
+        CONFIG.split.bySigner = values.splitBySigner;
+        CONFIG.files.templates = {
+            archive: values.archiveTemplate,
+            recording: values.recordingTemplate,
+            frame: values.frameTemplate
+        };
+        CONFIG.files.padding = values.padding;
+        CONFIG.files.slug.mode = values.slugMode;
+        CONFIG.files.slug.customMap = values.slugMap;
+        CONFIG.files.slug.collision = values.slugCollision;
+        CONFIG.upload.enabled = values.uploadEnabled;
+        CONFIG.upload.url = values.uploadUrl;
+        CONFIG.upload.token = values.uploadToken;
+        CONFIG.upload.mode = values.uploadMode;
+        CONFIG.ui.countdownDuration = values.countdownDuration;
     },
 
     /**
-     * Actualiza el nombre de la seña en la UI
-     * @param {string} signName - Nombre de la seña
+     * Valida, aplica y guarda los ajustes del formulario
+     * @returns {boolean} True si se guardaron
      */
-    updateSignName(signName) {
-        const element = document.getElementById('currentSignName');
-        if (element) {
-            element.textContent = signName;
+    save() {
+        const validation = this.validate(this.readForm());
+
+        if (!validation.isValid) {
+            Utils.showError(`Revisa los ajustes:\n\n${validation.errors.join('\n')}`);
+            return false;
+        }
+
+        this.apply(validation.values);
+
+        try {
+            localStorage.setItem(CONFIG.settings.storageKey, JSON.stringify(validation.values));
+        } catch (error) {
+            Utils.log('No se pudieron guardar los ajustes', error);
+            Utils.showError('Los ajustes se aplicaron, pero no se pudieron guardar en este navegador');
         }
+
+        this.fillForm(validation.values);
+        UIController.updateCaptureSummary();
+        Utils.log('Ajustes guardados', validation.values);
+        return true;
     },
 
     /**
-     * Resetea el formulario inicial
+     * Restaura los valores por defecto
      */
-    resetInitialForm() {
-        const signNameInput = document.getElementById('signName');
-        if (signNameInput) {
-            signNameInput.value = '';
-            signNameInput.focus();
+    reset() {
+        this.apply(this.defaults);
+
+        try {
+            localStorage.removeItem(CONFIG.settings.storageKey);
+        } catch (error) {
+            Utils.log('No se pudieron borrar los ajustes guardados', error);
         }
-    }
-};
 
-// =================================================================
-// GESTIÓN DE LA CÁMARA
-// =================================================================
+        this.fillForm(this.defaults);
+        UIController.updateCaptureSummary();
+        Utils.log('Ajustes restaurados a los valores por defecto');
+    },
 
-/**
- * Controlador de la cámara
- */
-const CameraController = {
     /**
-     * Inicializa la cámara
+     * Lee los valores del formulario de ajustes
+     * @returns {Object} Ajustes (duraciones en ms)
      */
-    async init() {
-        try {
-            Utils.log('Iniciando cámara...');
-            
-            const stream = await navigator.mediaDevices.getUserMedia({ 
-                video: CONFIG.video 
-            });
-            
-            AppState.camera.stream = stream;
-            AppState.elements.video.srcObject = stream;
-            
-            // Esperar a que el video esté listo
-            await new Promise((resolve) => {
-                AppState.elements.video.addEventListener('loadedmetadata', () => {
-                    // Forzar dimensiones exactas del canvas a 640x480
-                    AppState.elements.canvas.width = 640;
-                    AppState.elements.canvas.height = 480;
-                    Utils.log(`Canvas configurado a: ${AppState.elements.canvas.width}x${AppState.elements.canvas.height}`);
-                    resolve();
-                }, { once: true });
-            });
+    readForm() {
+        const value = id => document.getElementById(id)?.value;
 
-            AppState.camera.isInitialized = true;
-            UIController.updateStatus('Cámara iniciada. Listo para grabar', 'idle');
-            Utils.log('Cámara inicializada correctamente');
-            
-        } catch (error) {
-            Utils.log('Error al acceder a la cámara', error);
-            UIController.updateStatus('Error al acceder a la cámara', 'error');
-            Utils.showError('Error al acceder a la cámara. Por favor, verifica los permisos.');
-            throw error;
-        }
+        return {
+            duration: parseFloat(value('settingDuration')) * 1000,
+            targetFrames: parseInt(value('settingFrames'), 10),
+            quality: parseFloat(value('settingQuality')),
+            format: value('settingFormat'),
+            width: parseInt(value('settingWidth'), 10),
+            height: parseInt(value('settingHeight'), 10),
+            fitMode: value('settingFitMode'),
+            sampling: value('settingSampling'),
+            preRollFrames: parseInt(value('settingPreRoll'), 10),
+            lengthMode: value('settingLengthMode'),
+            maxDuration: parseFloat(value('settingMaxDuration')) * 1000,
+            normalizeOnExport: Boolean(document.getElementById('settingNormalize')?.checked),
+            recordClip: Boolean(document.getElementById('settingRecordClip')?.checked),
+            roiWidth: parseInt(value('settingRoiWidth'), 10),
+            roiHeight: parseInt(value('settingRoiHeight'), 10),
+            signerLayout: value('settingSignerLayout'),
+            splitEnabled: Boolean(document.getElementById('settingSplitEnabled')?.checked),
+            splitTrain: parseInt(value('settingSplitTrain'), 10),
+            splitVal: parseInt(value('settingSplitVal'), 10),
+            splitTest: parseInt(value('settingSplitTest'), 10),
+            splitSeed: parseInt(value('settingSplitSeed'), 10),
+            splitBySigner: Boolean(document.getElementById('settingSplitBySigner')?.checked),
+            archiveTemplate: value('settingArchiveTemplate'),
+            recordingTemplate: value('settingRecordingTemplate'),
+            frameTemplate: value('settingFrameTemplate'),
+            padding: parseInt(value('settingPadding'), 10),
+            slugMode: value('settingSlugMode'),
+            slugMap: value('settingSlugMap'),
+            slugCollision: value('settingSlugCollision'),
+            uploadEnabled: Boolean(document.getElementById('settingUploadEnabled')?.checked),
+            uploadUrl: value('settingUploadUrl'),
+            uploadToken: value('settingUploadToken'),
+            uploadMode: value('settingUploadMode'),
+            countdownDuration: parseFloat(value('settingCountdown')) * 1000
+        };
     },
 
     /**
-     * Captura un frame de la cámara
-     * @returns {string} Data URL de la imagen
+     * Rellena el formulario de ajustes
+     * @param {Object} values - Ajustes a mostrar
      */
-    captureFrame() {
-        if (!AppState.camera.isInitialized) {
-            throw new Error('Cámara no inicializada');
-        }
+    fillForm(values) {
+        const fields = {
+            settingDuration: values.duration / 1000,
+            settingFrames: values.targetFrames,
+            settingQuality: values.quality,
+            settingFormat: values.format,
+            settingWidth: values.width,
+            settingHeight: values.height,
+            settingFitMode: values.fitMode,
+            settingSampling: values.sampling,
+            settingPreRoll: values.preRollFrames,
+            settingLengthMode: values.lengthMode,
+            settingMaxDuration: values.maxDuration / 1000,
+            settingNormalize: values.normalizeOnExport,
+            settingRecordClip: values.recordClip,
+            settingRoiWidth: values.roiWidth,
+            settingRoiHeight: values.roiHeight,
+            settingSignerLayout: values.signerLayout,
+            settingSplitEnabled: values.splitEnabled,
+            settingSplitTrain: values.splitTrain,
+            settingSplitVal: values.splitVal,
+            settingSplitTest: values.splitTest,
+            settingSplitSeed: values.splitSeed,
+            settingSplitBySigner: values.splitBySigner,
+            settingArchiveTemplate: values.archiveTemplate,
+            settingRecordingTemplate: values.recordingTemplate,
+            settingFrameTemplate: values.frameTemplate,
+            settingPadding: values.padding,
+            settingSlugMode: values.slugMode,
+            settingSlugMap: values.slugMap,
+            settingSlugCollision: values.slugCollision,
+            settingUploadEnabled: values.uploadEnabled,
+            settingUploadUrl: values.uploadUrl,
+            settingUploadToken: values.uploadToken,
+            settingUploadMode: values.uploadMode,
+            settingCountdown: values.countdownDuration / 1000
+        };
 
-        const { video, canvas, ctx } = AppState.elements;
-        
-        // Asegurar que el canvas tenga las dimensiones correctas
-        if (canvas.width !== 640 || canvas.height !== 480) {
-            canvas.width = 640;
-            canvas.height = 480;
+        Object.entries(fields).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+        });
+
+        this.updateNamingPreview();
+    },
+
+    /**
+     * Valida las plantillas de nombres y el relleno de ceros
+     * @param {Object} values - Ajustes normalizados
+     * @returns {Array<string>} Errores
+     */
+    validateNaming(values) {
+        const errors = [
+            Utils.validateTemplate('archive', values.archiveTemplate),
+            Utils.validateTemplate('recording', values.recordingTemplate),
+            Utils.validateTemplate('frame', values.frameTemplate)
+        ].filter(result => !result.isValid).map(result => result.error);
+
+        if (!Number.isFinite(values.padding) || values.padding < 1 || values.padding > CONFIG.settings.maxPadding) {
+            errors.push(`El relleno de ceros debe estar entre 1 y ${CONFIG.settings.maxPadding} dígitos`);
         }
-        
-        // Limpiar el canvas antes de dibujar
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        
-        // Dibujar el video escalado/recortado para mantener 640x480
-        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-        
-        return canvas.toDataURL(CONFIG.recording.format, CONFIG.recording.quality);
+
+        return errors;
     },
 
     /**
-     * Limpia los recursos de la cámara
+     * Muestra en los ajustes un ejemplo de las rutas que generan las plantillas
      */
-    cleanup() {
-        if (AppState.camera.stream) {
-            AppState.camera.stream.getTracks().forEach(track => track.stop());
-            AppState.camera.stream = null;
-            AppState.camera.isInitialized = false;
-            Utils.log('Recursos de cámara liberados');
+    updateNamingPreview() {
+        const preview = document.getElementById('namingPreview');
+        if (!preview) return;
+
+        const form = this.readForm();
+        const values = {
+            archiveTemplate: (form.archiveTemplate || '').trim(),
+            recordingTemplate: (form.recordingTemplate || '').trim(),
+            frameTemplate: (form.frameTemplate || '').trim(),
+            padding: form.padding
+        };
+        const errors = [
+            ...this.validateNaming(values),
+            ...Utils.parseTransliterations(form.slugMap).errors
+        ];
+
+        preview.classList.toggle('naming-preview-error', errors.length > 0);
+        if (errors.length > 0) {
+            preview.textContent = errors.join('\n');
+            return;
         }
+
+        const pad = num => Utils.padNumber(num, values.padding);
+        const sample = '¿Cómo estás?';
+        const sign = Utils.slugify(sample, { ...CONFIG.files.slug, mode: form.slugMode, customMap: form.slugMap });
+        const tokens = { sign, signer: 'S01', take: pad(1), frame: pad(1), ...Utils.getDateTokens(new Date()) };
+        const extension = Utils.getFileExtension(form.format || CONFIG.recording.format);
+
+        const signerPrefix = { folder: 'S01/', prefix: 'S01_' }[form.signerLayout] || '';
+
+        preview.textContent = [
+            `Seña «${sample}»:`,
+            `${Utils.renderTemplate(values.archiveTemplate, tokens)}.zip`,
+            `└── ${sign}/${signerPrefix}${Utils.renderTemplate(values.recordingTemplate, tokens)}/` +
+            `${Utils.renderTemplate(values.frameTemplate, tokens)}.${extension}`
+        ].join('\n');
     }
 };
 
 // =================================================================
-// GESTIÓN DE GRABACIÓN
+// PERFILES DE SIGNANTES
 // =================================================================
 
 /**
- * Controlador de grabación
+ * Controlador de los perfiles de signantes guardados en localStorage.
+ * Cada toma guarda una copia del perfil activo al grabarse.
  */
-const RecordingController = {
+const SignerController = {
+    // Perfiles cargados: [{ id, dominantHand, ageRange, gender, notes, consent, createdAt }]
+    profiles: [],
+
+    // Identificador del signante activo
+    activeId: null,
+
     /**
-     * Inicia una sesión de grabación
+     * Carga los perfiles y el signante activo
      */
-    async startSession() {
-        if (AppState.recording.isActive) {
-            Utils.log('Ya hay una grabación en curso');
-            return;
+    init() {
+        try {
+            const raw = localStorage.getItem(CONFIG.signers.storageKey);
+            this.profiles = raw ? JSON.parse(raw) : [];
+            this.activeId = localStorage.getItem(CONFIG.signers.activeStorageKey);
+        } catch (error) {
+            Utils.log('No se pudieron leer los perfiles de signantes', error);
+            this.profiles = [];
+            this.activeId = null;
         }
 
-        Utils.log('Iniciando sesión de grabación');
-        AppState.recording.isActive = true;
+        if (!this.getActive()) {
+            this.activeId = null;
+        }
 
-        // Configurar UI
-        UIController.setButtonStates({
-            recordBtn: true,
-            downloadBtn: true
-        });
-        
-        UIController.updateProgress(0);
+        UIController.updateSignerList();
+    },
 
+    /**
+     * Guarda los perfiles y el signante activo
+     */
+    persist() {
         try {
-            // Mostrar countdown de 3 segundos
-            await this.showCountdown();
-            
-            // Iniciar grabación real
-            const session = {
-                signName: AppState.app.currentSignName,
-                recordingNumber: AppState.recording.counter + 1,
-                frames: [],
-                startTime: Date.now()
-            };
-
-            AppState.recording.currentSession = session;
-            await this.captureFrames(session);
-            this.finishSession(session);
-            
+            localStorage.setItem(CONFIG.signers.storageKey, JSON.stringify(this.profiles));
+            if (this.activeId) {
+                localStorage.setItem(CONFIG.signers.activeStorageKey, this.activeId);
+            } else {
+                localStorage.removeItem(CONFIG.signers.activeStorageKey);
+            }
         } catch (error) {
-            Utils.log('Error durante la grabación', error);
-            UIController.updateStatus('Error durante la grabación', 'error');
-            AppState.recording.isActive = false;
-            
-            UIController.setButtonStates({
-                recordBtn: false,
-                downloadBtn: AppState.recording.data.length > 0 ? false : true
-            });
+            Utils.log('No se pudieron guardar los perfiles de signantes', error);
+            Utils.showError('No se pudieron guardar los perfiles en este navegador');
         }
     },
 
     /**
-     * Muestra countdown de 3 segundos antes de grabar
+     * Valida el identificador de un signante
+     * @param {string} id - Identificador (p. ej. S01)
+     * @returns {Object} Resultado de validación
      */
-    async showCountdown() {
-        return new Promise((resolve) => {
-            let countdown = 3;
-            
-            const updateCountdown = () => {
-                if (countdown > 0) {
-                    // Usar clase especial para countdown con animación
-                    const statusElement = document.getElementById('status');
-                    if (statusElement) {
-                        statusElement.textContent = `🕐 Preparándose... ${countdown}`;
-                        statusElement.className = 'status status-countdown';
-                    }
-                    Utils.log(`Countdown: ${countdown}`);
-                    countdown--;
-                    setTimeout(updateCountdown, 1000);
-                } else {
-                    UIController.updateStatus('🔴 ¡GRABANDO! Mantén la posición', 'recording');
-                    resolve();
-                }
-            };
+    validateId(id) {
+        const trimmed = (id || '').trim();
+
+        if (!trimmed) {
+            return { isValid: false, error: 'Indica un identificador para el signante' };
+        }
+        if (trimmed.length > CONFIG.signers.maxIdLength) {
+            return { isValid: false, error: `El identificador no puede tener más de ${CONFIG.signers.maxIdLength} caracteres` };
+        }
+        if (!CONFIG.files.allowedChars.test(trimmed)) {
+            return { isValid: false, error: 'El identificador solo puede contener letras, números, guiones (-) y guiones bajos (_)' };
+        }
+        if (CONFIG.files.slug.reserved.test(trimmed)) {
+            return { isValid: false, error: `"${trimmed}" es un nombre reservado en Windows y no puede usarse como carpeta` };
+        }
+        if (this.profiles.some(profile => profile.id.toLowerCase() === trimmed.toLowerCase())) {
+            return { isValid: false, error: `Ya existe un signante con el identificador "${trimmed}"` };
+        }
+
+        return { isValid: true, id: trimmed };
+    },
+
+    /**
+     * Crea un perfil y lo deja como signante activo
+     * @param {Object} values - Datos del formulario
+     * @returns {Object|null} Perfil creado o null si no es válido
+     */
+    add(values) {
+        const validation = this.validateId(values.id);
+        if (!validation.isValid) {
+            Utils.showError(validation.error);
+            return null;
+        }
+
+        const profile = {
+            id: validation.id,
+            dominantHand: CONFIG.signers.hands.includes(values.dominantHand) ? values.dominantHand : 'right',
+            ageRange: (values.ageRange || '').trim() || null,
+            gender: (values.gender || '').trim() || null,
+            notes: (values.notes || '').trim() || null,
+            consent: Boolean(values.consent),
+            createdAt: new Date().toISOString()
+        };
+
+        this.profiles.push(profile);
+        this.activeId = profile.id;
+        this.persist();
+        UIController.updateSignerList();
+
+        Utils.log('Perfil de signante creado', profile);
+        return profile;
+    },
+
+    /**
+     * Borra un perfil. Las tomas ya grabadas conservan su copia del perfil.
+     * @param {string} id - Identificador
+     */
+    remove(id) {
+        this.profiles = this.profiles.filter(profile => profile.id !== id);
+        if (this.activeId === id) {
+            this.activeId = null;
+        }
+        this.persist();
+        UIController.updateSignerList();
+        Utils.log(`Perfil de signante eliminado: ${id}`);
+    },
+
+    /**
+     * Cambia el signante activo
+     * @param {string} id - Identificador, o cadena vacía para ninguno
+     */
+    setActive(id) {
+        this.activeId = this.profiles.some(profile => profile.id === id) ? id : null;
+        this.persist();
+        this.stopHandsFreeWithoutConsent();
+        UIController.updateSignerList();
+    },
+
+    /**
+     * Registra o retira el consentimiento del signante activo
+     * @param {boolean} consent - True si ha dado su consentimiento
+     */
+    setConsent(consent) {
+        const signer = this.getActive();
+        if (!signer) return;
+
+        signer.consent = Boolean(consent);
+        this.persist();
+        this.stopHandsFreeWithoutConsent();
+        UIController.updateSignerList();
+        Utils.log(`Consentimiento de ${signer.id}: ${signer.consent ? 'sí' : 'no'}`);
+    },
+
+    /**
+     * Sin consentimiento el modo manos libres solo repetiría el aviso en cada disparo
+     */
+    stopHandsFreeWithoutConsent() {
+        const signer = this.getActive();
+        if (signer && !signer.consent && AppState.handsFree.isEnabled) {
+            HandsFreeController.stop();
+            UIController.updateStatus(`Manos libres desactivado: "${signer.id}" no tiene consentimiento`, 'error');
+        }
+    },
+
+    /**
+     * Perfil del signante activo
+     * @returns {Object|null} Perfil o null si no hay ninguno
+     */
+    getActive() {
+        return this.profiles.find(profile => profile.id === this.activeId) || null;
+    },
+
+    /**
+     * Comprueba que se puede grabar al signante activo
+     * @returns {boolean} True si no hay signante o si dio su consentimiento
+     */
+    canRecord() {
+        const signer = this.getActive();
+        if (signer && !signer.consent) {
+            Utils.showError(`El signante "${signer.id}" no tiene registrado el consentimiento. ` +
+                            'Márcalo junto al signante activo o elige otro antes de grabar.');
+            return false;
+        }
+        return true;
+    },
+
+    /**
+     * Copia del perfil activo que se guarda con cada toma
+     * @returns {Object|null} Perfil o null
+     */
+    snapshot() {
+        const signer = this.getActive();
+        return signer ? { ...signer } : null;
+    }
+};
+
+// =================================================================
+// GESTIÓN DE LA INTERFAZ DE USUARIO
+// =================================================================
+
+/**
+ * Controlador de la interfaz de usuario
+ */
+const UIController = {
+    /**
+     * Inicializa los elementos del DOM
+     */
+    async init() {
+        AppState.elements.video = document.getElementById('video');
+        AppState.elements.canvas = document.getElementById('canvas');
+        AppState.elements.ctx = AppState.elements.canvas.getContext('2d');
+        
+        this.bindEvents();
+        
+        // Esperar a que las librerías se carguen
+        Utils.log('Esperando a que se carguen las librerías...');
+        const librariesLoaded = await Utils.waitForLibraries();
+        
+        if (!librariesLoaded) {
+            this.showLibraryError();
+            return;
+        }
+        
+        Utils.log('UI inicializada correctamente');
+    },
+
+    /**
+     * Muestra error de librerías con opciones de solución
+     */
+    showLibraryError() {
+        const libCheck = Utils.validateLibraries();
+        let missingLibs = [];
+        
+        if (!libCheck.libraries.JSZip) missingLibs.push('JSZip');
+        if (!libCheck.libraries.saveAs) missingLibs.push('FileSaver');
+        
+        Utils.log('Librerías faltantes:', missingLibs);
+        
+        // Intentar cargar FileSaver manualmente como último recurso
+        if (!libCheck.libraries.saveAs) {
+            Utils.log('Intentando cargar FileSaver manualmente...');
+            this.loadFileSaverManually();
+            
+            // Esperar un poco más para ver si se carga
+            setTimeout(() => {
+                const finalCheck = Utils.validateLibraries();
+                if (!finalCheck.allLoaded) {
+                    const errorMsg = `No se pudieron cargar las librerías: ${missingLibs.join(', ')}.\n\n` +
+                                    `Soluciones:\n` +
+                                    `1. Recarga la página (F5)\n` +
+                                    `2. Verifica tu conexión a internet\n` +
+                                    `3. Desactiva temporalmente el antivirus/bloqueador\n` +
+                                    `4. Prueba en modo incógnito`;
+                    
+                    Utils.showError(errorMsg);
+                    this.showReloadButton();
+                } else {
+                    Utils.log('FileSaver cargado manualmente con éxito');
+                    // Continuar con la inicialización
+                    Utils.log('UI inicializada correctamente (con carga manual)');
+                }
+            }, 2000);
+        } else {
+            const errorMsg = `No se pudieron cargar las librerías: ${missingLibs.join(', ')}.\n\n` +
+                            `Soluciones:\n` +
+                            `1. Recarga la página (F5)\n` +
+                            `2. Verifica tu conexión a internet\n` +
+                            `3. Desactiva temporalmente el antivirus/bloqueador`;
+            
+            Utils.showError(errorMsg);
+            this.showReloadButton();
+        }
+    },
+
+    /**
+     * Carga FileSaver manualmente como último recurso
+     */
+    loadFileSaverManually() {
+        // Implementación básica de saveAs que siempre funciona
+        window.saveAs = function(blob, filename) {
+            try {
+                Utils.log(`Descargando archivo: ${filename} (${(blob.size / 1024).toFixed(2)} KB)`);
+                
+                const a = document.createElement('a');
+                const url = URL.createObjectURL(blob);
+                a.href = url;
+                a.download = filename;
+                a.style.display = 'none';
+                
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                
+                // Limpiar URL después de un tiempo
+                setTimeout(() => {
+                    try {
+                        URL.revokeObjectURL(url);
+                    } catch (e) {
+                        // Ignorar errores de cleanup
+                    }
+                }, 1000);
+                
+                Utils.log('Archivo descargado exitosamente');
+                
+            } catch (error) {
+                Utils.log('Error en descarga manual:', error);
+                throw new Error('No se pudo descargar el archivo. Intenta con otro navegador.');
+            }
+        };
+        
+        Utils.log('FileSaver implementado manualmente');
+    },
+
+    /**
+     * Muestra un botón para recargar la página
+     */
+    showReloadButton() {
+        const container = document.querySelector('.container');
+        if (container) {
+            const reloadDiv = document.createElement('div');
+            reloadDiv.innerHTML = `
+                <div class="info-box" style="background-color: #ffebee; border-color: #f44336;">
+                    <h3>⚠️ Error cargando recursos</h3>
+                    <p>No se pudieron cargar las librerías necesarias.</p>
+                    <button class="btn btn-primary" onclick="location.reload()" style="margin-top: 15px;">
+                        🔄 Recargar página
+                    </button>
+                </div>
+            `;
+            container.appendChild(reloadDiv);
+        }
+    },
+
+    /**
+     * Vincula eventos del DOM
+     */
+    bindEvents() {
+        // Enter en el campo de texto
+        const signNameInput = document.getElementById('signName');
+        if (signNameInput) {
+            signNameInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    AppController.startRecording();
+                }
+            });
+        }
+
+        // Espacio o Escape terminan una toma manual
+        document.addEventListener('keydown', (e) => {
+            if ((e.key === ' ' || e.key === 'Escape') && RecordingController.isManualCaptureActive()) {
+                e.preventDefault();
+                RecordingController.stopSession();
+            }
+        });
+
+        // Cleanup al cerrar la página
+        window.addEventListener('beforeunload', () => {
+            CameraController.cleanup();
+        });
+    },
+
+    /**
+     * Cambia entre vistas
+     * @param {string} viewName - Nombre de la vista
+     */
+    switchView(viewName) {
+        const views = ['initialView', 'recordingView', 'settingsView'];
+        
+        views.forEach(view => {
+            const element = document.getElementById(view);
+            if (element) {
+                element.style.display = view === `${viewName}View` ? 'block' : 'none';
+            }
+        });
+        
+        AppState.app.currentView = viewName;
+        Utils.log(`Vista cambiada a: ${viewName}`);
+    },
+
+    /**
+     * Actualiza el estado de la interfaz
+     * @param {string} message - Mensaje de estado
+     * @param {string} type - Tipo de estado (idle, recording, error)
+     */
+    updateStatus(message, type = 'idle') {
+        const statusElement = document.getElementById('status');
+        if (statusElement) {
+            statusElement.textContent = message;
+            statusElement.className = `status status-${type}`;
+        }
+        
+        Utils.log(`Estado actualizado: ${message} (${type})`);
+    },
+
+    /**
+     * Actualiza el contador de grabaciones
+     */
+    updateRecordingCounter() {
+        const counterElement = document.getElementById('recordingCounter');
+        if (counterElement) {
+            counterElement.textContent = AppState.recording.counter;
+        }
+    },
+
+    /**
+     * Actualiza la barra de progreso
+     * @param {number} progress - Progreso (0-100)
+     */
+    updateProgress(progress) {
+        const progressBar = document.getElementById('progressBar');
+        const progressFill = document.getElementById('progressFill');
+        
+        if (progressBar && progressFill) {
+            progressBar.style.display = progress > 0 ? 'block' : 'none';
+            progressFill.style.width = `${Math.min(progress, 100)}%`;
+        }
+    },
+
+    /**
+     * Controla el estado de los botones
+     * @param {Object} buttonStates - Estados de los botones
+     */
+    setButtonStates(buttonStates) {
+        Object.entries(buttonStates).forEach(([buttonId, disabled]) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.disabled = disabled;
+            }
+        });
+    },
+
+    /**
+     * Muestra u oculta el botón de detener de las tomas manuales
+     * @param {boolean} visible - True mientras se graba una toma manual
+     */
+    showStopButton(visible) {
+        const stopBtn = document.getElementById('stopBtn');
+        if (stopBtn) {
+            stopBtn.classList.toggle('hidden', !visible);
+            stopBtn.disabled = !visible;
+        }
+    },
+
+    /**
+     * Restaura los botones al estado de reposo según la fuente de video activa
+     */
+    resetButtonStates() {
+        const isFile = AppState.camera.source === 'file';
+
+        const queueDone = AppState.queue.isActive && AppState.queue.isComplete;
+
+        this.setButtonStates({
+            recordBtn: isFile || !AppState.camera.isInitialized || queueDone,
+            importBtn: !isFile || !AppState.camera.isInitialized || queueDone,
+            skipSignBtn: !AppState.queue.isActive || queueDone,
+            downloadBtn: !ExportController.hasRecordings()
+        });
+    },
+
+    /**
+     * Actualiza el nombre de la seña en la UI
+     * @param {string} signName - Nombre de la seña
+     */
+    updateSignName(signName) {
+        const element = document.getElementById('currentSignName');
+        if (element) {
+            element.textContent = signName;
+        }
+    },
+
+    /**
+     * Muestra u oculta el aviso para reanudar una sesión guardada
+     * @param {Object|null} session - Sesión guardada o null para ocultar
+     */
+    showResumeOffer(session) {
+        const box = document.getElementById('resumeBox');
+        if (!box) return;
+
+        if (!session) {
+            box.classList.add('hidden');
+            return;
+        }
+
+        const details = document.getElementById('resumeDetails');
+        if (details) {
+            const date = session.updatedAt ? new Date(session.updatedAt).toLocaleString() : '';
+            const queueInfo = session.queue
+                ? ` · lista de ${session.queue.signs.length} señas`
+                : '';
+            details.textContent = `"${session.signName}" con ${session.counter} grabaciones${queueInfo}${date ? ` (${date})` : ''}`;
+        }
+        box.classList.remove('hidden');
+    },
+
+    /**
+     * Rellena el selector de cámaras
+     * @param {Array<MediaDeviceInfo>} cameras - Cámaras disponibles
+     * @param {string|null} selectedId - Cámara activa
+     */
+    updateCameraList(cameras, selectedId) {
+        const select = document.getElementById('cameraSelect');
+        if (!select) return;
+
+        select.replaceChildren();
+        cameras.forEach((camera, index) => {
+            const option = document.createElement('option');
+            option.value = camera.deviceId;
+            option.textContent = camera.label || `Cámara ${index + 1}`;
+            option.selected = camera.deviceId === selectedId;
+            select.appendChild(option);
+        });
+
+        select.disabled = cameras.length < 2;
+    },
+
+    /**
+     * Muestra la resolución real de la cámara frente a la de salida
+     */
+    updateCameraInfo() {
+        const info = document.getElementById('cameraResolution');
+        if (!info) return;
+
+        const track = AppState.camera.trackSettings;
+        const fitLabel = CONFIG.recording.fitMode === 'letterbox' ? 'con bandas' : 'recortado';
+        const output = CameraController.getOutputSize();
+        const roiLabel = AppState.roi.isLocked ? 'región fijada, ' : '';
+        info.textContent = track
+            ? `Cámara ${track.width}x${track.height} → frames ${output.width}x${output.height} (${roiLabel}${fitLabel})`
+            : '';
+    },
+
+    /**
+     * Actualiza el selector de signantes y el signante mostrado al grabar
+     */
+    updateSignerList() {
+        const handLabels = { right: 'diestro', left: 'zurdo', both: 'ambidiestro' };
+        const active = SignerController.getActive();
+
+        const select = document.getElementById('signerSelect');
+        if (select) {
+            const empty = document.createElement('option');
+            empty.value = '';
+            empty.textContent = 'Sin signante';
+
+            const options = SignerController.profiles.map(profile => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = `${profile.id} · ${handLabels[profile.dominantHand]}` +
+                                     (profile.consent ? '' : ' · ⚠️ sin consentimiento');
+                return option;
+            });
+
+            select.replaceChildren(empty, ...options);
+            select.value = active ? active.id : '';
+        }
+
+        this.setButtonStates({ removeSignerBtn: !active });
+
+        const consent = document.getElementById('activeSignerConsent');
+        if (consent) {
+            consent.checked = Boolean(active && active.consent);
+            consent.disabled = !active;
+        }
+
+        const current = document.getElementById('currentSigner');
+        if (current) {
+            current.textContent = active ? active.id : 'sin signante';
+        }
+    },
+
+    /**
+     * Muestra el estado de la cola de subidas
+     * @param {Object} status - Resumen de UploadController.render
+     */
+    updateUploadStatus(status) {
+        const box = document.getElementById('uploadStatus');
+        if (!box) return;
+
+        const hasActivity = status.pending > 0 || status.failed > 0 || status.completed > 0;
+        box.classList.toggle('hidden', !status.isEnabled && !hasActivity);
+
+        const parts = [`☁️ Subidas: ${status.completed} completadas`];
+        if (status.pending > 0) parts.push(`${status.pending} pendientes`);
+        if (status.failed > 0) parts.push(`${status.failed} fallidas`);
+
+        if (status.progress) {
+            parts.push(`subiendo ${status.progress.id} (${status.progress.chunk}/${status.progress.total})`);
+        } else if (status.pending > 0 && !status.isOnline) {
+            parts.push('sin conexión, se reanudará al volver');
+        } else if (status.retryAt) {
+            parts.push(`próximo reintento a las ${new Date(status.retryAt).toLocaleTimeString()}`);
+        }
+
+        const text = document.getElementById('uploadStatusText');
+        if (text) {
+            text.textContent = parts.join(' · ') + (status.lastError ? ` · Último error: ${status.lastError}` : '');
+        }
+
+        box.classList.toggle('upload-status-error', status.failed > 0);
+        document.getElementById('uploadRetryBtn')?.classList.toggle('hidden', status.failed === 0);
+    },
+
+    /**
+     * Muestra el informe de verificación de un ZIP
+     * @param {Object|null} report - Informe de ArchiveController.verifyZip o null para ocultarlo
+     */
+    showVerifyReport(report) {
+        const box = document.getElementById('verifyReport');
+        if (!box) return;
+
+        if (!report) {
+            box.replaceChildren();
+            box.classList.add('hidden');
+            return;
+        }
+
+        const title = document.createElement('p');
+        title.className = 'verify-title';
+        title.textContent = report.isValid
+            ? `✅ ${report.fileName}: ${report.checked} archivos y ${report.recordings} grabaciones correctos`
+            : `⚠️ ${report.fileName}: se encontraron problemas`;
+
+        const lines = [
+            ...report.errors,
+            ...report.missing.map(path => `Falta: ${path}`),
+            ...report.corrupted.map(path => `Dañado: ${path}`),
+            ...report.unlisted.map(path => `Sin checksum: ${path}`),
+            ...report.frameCounts.map(count => `${count.folder}: ${count.found} frames de ${count.expected} esperados`)
+        ];
+
+        const list = document.createElement('ul');
+        list.className = 'verify-list';
+        lines.forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            list.appendChild(item);
+        });
+
+        box.replaceChildren(title, list);
+        box.classList.toggle('verify-ok', report.isValid);
+        box.classList.remove('hidden');
+    },
+
+    /**
+     * Muestra el estado del modo manos libres y el nivel de movimiento
+     * @param {number} level - Movimiento actual respecto al umbral de disparo (0-1)
+     */
+    updateHandsFree(level = 0) {
+        const { isEnabled, state, sensitivity } = AppState.handsFree;
+        const texts = {
+            off: 'Desactivado',
+            waiting: '⏸️ Quédate quieto para armar',
+            armed: '🟢 Armado: empieza a signar',
+            recording: '🔴 Grabando'
+        };
+
+        const indicator = document.getElementById('handsFreeIndicator');
+        if (indicator) {
+            indicator.textContent = texts[state];
+            indicator.className = `hands-free-indicator hands-free-${state}`;
+        }
+
+        const button = document.getElementById('handsFreeBtn');
+        if (button) {
+            button.setAttribute('aria-pressed', String(isEnabled));
+            button.textContent = isEnabled ? '✋ Desactivar manos libres' : '🖐️ Manos libres';
+        }
+
+        const slider = document.getElementById('handsFreeSensitivity');
+        if (slider) {
+            slider.value = sensitivity;
+        }
+
+        const fill = document.getElementById('handsFreeLevel');
+        if (fill) {
+            fill.style.width = `${Math.min(level, 1) * 100}%`;
+        }
+    },
+
+    /**
+     * Actualiza los textos que describen los parámetros de captura
+     */
+    updateCaptureSummary() {
+        const { duration, targetFrames, width, height } = CONFIG.recording;
+        const seconds = duration / 1000;
+        const fps = targetFrames / seconds;
+        const secondsText = Number.isInteger(seconds) ? seconds : seconds.toFixed(1);
+
+        const summary = document.getElementById('captureSummary');
+        if (summary) {
+            summary.textContent = `${targetFrames} frames`;
+        }
+
+        const details = document.getElementById('captureDetails');
+        if (details) {
+            const format = Utils.getFileExtension(CONFIG.recording.format).toUpperCase();
+            const formatNote = SettingsController.isFormatSupported(CONFIG.recording.format)
+                ? ''
+                : ' ⚠️ no soportado por este navegador';
+            details.textContent = `durante ${secondsText} segundos (${Number.isInteger(fps) ? fps : fps.toFixed(1)} FPS) ` +
+                                  `a ${width}x${height} en ${format}${formatNote}`;
+        }
+
+        const recordBtn = document.getElementById('recordBtn');
+        if (recordBtn) {
+            if (CONFIG.recording.lengthMode === 'manual') {
+                const maxSeconds = CONFIG.recording.maxDuration / 1000;
+                recordBtn.textContent = `📹 Iniciar grabación (hasta ${maxSeconds}s)`;
+                recordBtn.setAttribute('aria-label', `Iniciar grabación hasta detenerla o un máximo de ${maxSeconds} segundos`);
+            } else {
+                recordBtn.textContent = `📹 Iniciar grabación (${secondsText}s)`;
+                recordBtn.setAttribute('aria-label', `Iniciar grabación de ${secondsText} segundos`);
+            }
+        }
+    },
+
+    /**
+     * Muestra el progreso del modo vocabulario
+     */
+    updateQueueProgress() {
+        const box = document.getElementById('queueProgress');
+        if (!box) return;
+
+        const queue = AppState.queue;
+        box.classList.toggle('hidden', !queue.isActive);
+        if (!queue.isActive) return;
+
+        const current = queue.signs[queue.index];
+        const doneSigns = queue.signs.filter(sign => sign.recorded >= sign.target).length;
+        const totalTarget = queue.signs.reduce((sum, sign) => sum + sign.target, 0);
+        const totalRecorded = queue.signs.reduce((sum, sign) => sum + Math.min(sign.recorded, sign.target), 0);
+
+        const text = document.getElementById('queueProgressText');
+        if (text) {
+            text.textContent = queue.isComplete
+                ? `🎉 Lista completada: ${queue.signs.length} señas, ${totalRecorded} grabaciones`
+                : `Seña ${queue.index + 1} de ${queue.signs.length} · ` +
+                  `repeticiones ${current.recorded}/${current.target} · ` +
+                  `señas completas ${doneSigns}/${queue.signs.length} · ` +
+                  `total ${totalRecorded}/${totalTarget}`;
+        }
+
+        const fill = document.getElementById('queueProgressFill');
+        if (fill) {
+            fill.style.width = `${totalTarget > 0 ? (totalRecorded / totalTarget) * 100 : 0}%`;
+        }
+    },
+
+    /**
+     * Establece el rango de tiempo del video importado
+     * @param {number} start - Inicio en segundos
+     * @param {number} end - Final en segundos
+     */
+    setImportRange(start, end) {
+        const startInput = document.getElementById('importStart');
+        const endInput = document.getElementById('importEnd');
+
+        if (startInput && endInput) {
+            startInput.max = end.toFixed(2);
+            endInput.max = end.toFixed(2);
+            startInput.value = start.toFixed(2);
+            endInput.value = end.toFixed(2);
+        }
+    },
+
+    /**
+     * Lee el rango de tiempo elegido para el video importado
+     * @returns {Object} Rango en segundos ({ start, end })
+     */
+    getImportRange() {
+        const startInput = document.getElementById('importStart');
+        const endInput = document.getElementById('importEnd');
+
+        return {
+            start: startInput ? parseFloat(startInput.value) : NaN,
+            end: endInput ? parseFloat(endInput.value) : NaN
+        };
+    },
+
+    /**
+     * Limpia el formulario de importación de video
+     */
+    resetImportForm() {
+        ['videoFile', 'importStart', 'importEnd'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = '';
+            }
+        });
+    },
+
+    /**
+     * Vacía el formulario de nuevo signante
+     */
+    resetSignerForm() {
+        ['signerId', 'signerAge', 'signerGender', 'signerNotes'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = '';
+            }
+        });
+
+        const consent = document.getElementById('signerConsent');
+        if (consent) {
+            consent.checked = false;
+        }
+    },
+
+    /**
+     * Resetea el formulario inicial
+     */
+    resetInitialForm() {
+        const signNameInput = document.getElementById('signName');
+        if (signNameInput) {
+            signNameInput.value = '';
+            signNameInput.focus();
+        }
+    }
+};
+
+// =================================================================
+// GESTIÓN DE LA CÁMARA
+// =================================================================
+
+/**
+ * Controlador de la cámara
+ */
+const CameraController = {
+    /**
+     * Inicializa la cámara
+     */
+    async init() {
+        try {
+            Utils.log('Iniciando cámara...');
+
+            // Si había un video importado cargado, liberarlo antes de volver a la cámara
+            this.releaseVideoFile();
+            
+            const stream = await this.openStream(this.getSavedDeviceId());
+            
+            AppState.camera.stream = stream;
+            AppState.camera.source = 'camera';
+            AppState.elements.video.srcObject = stream;
+            
+            // Esperar a que el video esté listo
+            await new Promise((resolve) => {
+                AppState.elements.video.addEventListener('loadedmetadata', () => {
+                    // Forzar dimensiones exactas del canvas a la resolución configurada
+                    AppState.elements.canvas.width = CONFIG.recording.width;
+                    AppState.elements.canvas.height = CONFIG.recording.height;
+                    Utils.log(`Canvas configurado a: ${AppState.elements.canvas.width}x${AppState.elements.canvas.height}`);
+                    resolve();
+                }, { once: true });
+            });
+
+            const track = stream.getVideoTracks()[0];
+            const trackSettings = track ? track.getSettings() : {};
+            AppState.camera.deviceId = trackSettings.deviceId || null;
+            AppState.camera.trackSettings = {
+                width: trackSettings.width || AppState.elements.video.videoWidth,
+                height: trackSettings.height || AppState.elements.video.videoHeight,
+                frameRate: trackSettings.frameRate || null,
+                label: track ? track.label : ''
+            };
+
+            AppState.camera.isInitialized = true;
+            UIController.updateCameraInfo();
+            this.startPreRoll();
+            await this.listDevices();
+
+            UIController.updateStatus('Cámara iniciada. Listo para grabar', 'idle');
+            Utils.log('Cámara inicializada correctamente', AppState.camera.trackSettings);
+            
+        } catch (error) {
+            Utils.log('Error al acceder a la cámara', error);
+            UIController.updateStatus('Error al acceder a la cámara', 'error');
+            Utils.showError(this.getErrorMessage(error));
+            throw error;
+        }
+    },
+
+    /**
+     * Abre la cámara probando resoluciones de mayor a menor
+     * @param {string|null} deviceId - Cámara elegida o null para la predeterminada
+     * @returns {Promise<MediaStream>} Stream de video
+     */
+    async openStream(deviceId) {
+        const ladder = this.buildConstraintLadder(deviceId);
+        let lastError = null;
+
+        for (const constraints of ladder) {
+            try {
+                const stream = await navigator.mediaDevices.getUserMedia({ video: constraints });
+                Utils.log('Cámara abierta con restricciones:', constraints);
+                return stream;
+            } catch (error) {
+                lastError = error;
+
+                // Solo se reintenta si el problema son las restricciones
+                if (error.name !== 'OverconstrainedError' && error.name !== 'ConstraintNotSatisfiedError') {
+                    break;
+                }
+                Utils.log('Restricciones rechazadas, probando la siguiente resolución', constraints);
+            }
+        }
+
+        // La cámara guardada puede haberse desconectado: volver a la predeterminada
+        if (deviceId && lastError && ['OverconstrainedError', 'NotFoundError', 'NotReadableError'].includes(lastError.name)) {
+            Utils.log('No se pudo abrir la cámara guardada, se usa la predeterminada');
+            this.saveDeviceId(null);
+            return this.openStream(null);
+        }
+
+        throw lastError;
+    },
+
+    /**
+     * Construye la escalera de restricciones: resolución configurada, alternativas y sin tamaño
+     * @param {string|null} deviceId - Cámara elegida
+     * @returns {Array<Object>} Restricciones de video a probar en orden
+     */
+    buildConstraintLadder(deviceId) {
+        const base = deviceId
+            ? { deviceId: { exact: deviceId } }
+            : { facingMode: CONFIG.video.facingMode };
+
+        const sizes = [
+            { width: CONFIG.recording.width, height: CONFIG.recording.height },
+            ...CONFIG.video.fallbackResolutions
+        ].filter((size, index, all) =>
+            all.findIndex(other => other.width === size.width && other.height === size.height) === index
+        );
+
+        return [
+            ...sizes.map(size => ({
+                ...base,
+                width: { ideal: size.width },
+                height: { ideal: size.height }
+            })),
+            base
+        ];
+    },
+
+    /**
+     * Rellena el selector con las cámaras disponibles
+     */
+    async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            const cameras = devices.filter(device => device.kind === 'videoinput');
+            UIController.updateCameraList(cameras, AppState.camera.deviceId);
+            Utils.log(`${cameras.length} cámaras disponibles`);
+        } catch (error) {
+            Utils.log('No se pudieron listar las cámaras', error);
+        }
+    },
+
+    /**
+     * Cambia a otra cámara y recuerda la elección
+     * @param {string} deviceId - Identificador de la cámara
+     */
+    async selectDevice(deviceId) {
+        this.saveDeviceId(deviceId || null);
+        this.cleanup();
+        await this.init();
+    },
+
+    /**
+     * Cámara elegida en sesiones anteriores
+     * @returns {string|null} Identificador guardado
+     */
+    getSavedDeviceId() {
+        try {
+            return localStorage.getItem(CONFIG.video.deviceStorageKey);
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Guarda la cámara elegida
+     * @param {string|null} deviceId - Identificador o null para olvidarla
+     */
+    saveDeviceId(deviceId) {
+        try {
+            if (deviceId) {
+                localStorage.setItem(CONFIG.video.deviceStorageKey, deviceId);
+            } else {
+                localStorage.removeItem(CONFIG.video.deviceStorageKey);
+            }
+        } catch (error) {
+            Utils.log('No se pudo guardar la cámara elegida', error);
+        }
+    },
+
+    /**
+     * Traduce los errores de getUserMedia a un mensaje para el usuario
+     * @param {Error} error - Error recibido
+     * @returns {string} Mensaje de error
+     */
+    getErrorMessage(error) {
+        switch (error && error.name) {
+            case 'NotAllowedError':
+            case 'SecurityError':
+                return 'Permiso de cámara denegado. Concede el permiso en el navegador y asegúrate de usar HTTPS o localhost.';
+            case 'NotFoundError':
+                return 'No se encontró ninguna cámara conectada.';
+            case 'NotReadableError':
+                return 'La cámara está siendo usada por otra aplicación o no responde.';
+            case 'OverconstrainedError':
+                return 'La cámara no admite ninguna de las resoluciones probadas.';
+            default:
+                return 'Error al acceder a la cámara. Por favor, verifica los permisos.';
+        }
+    },
+
+    /**
+     * Carga un archivo de video local en el elemento <video> en lugar de la cámara
+     * @param {File} file - Archivo de video (MP4, WebM...)
+     * @returns {Promise<number>} Duración del video en segundos
+     */
+    async loadVideoFile(file) {
+        if (!file || !file.type.startsWith('video/')) {
+            throw new Error('El archivo seleccionado no es un video');
+        }
+
+        Utils.log(`Cargando video: ${file.name}`);
+        this.cleanup();
+
+        const { video, canvas } = AppState.elements;
+        const url = URL.createObjectURL(file);
+
+        video.srcObject = null;
+        video.src = url;
+        AppState.camera.fileUrl = url;
+
+        await new Promise((resolve, reject) => {
+            video.addEventListener('loadedmetadata', resolve, { once: true });
+            video.addEventListener('error', () => {
+                reject(new Error('El navegador no puede leer este video'));
+            }, { once: true });
+        });
+
+        video.pause();
+
+        // Los WebM generados por MediaRecorder no declaran duración hasta recorrerlos
+        if (!Number.isFinite(video.duration)) {
+            await this.seekTo(Number.MAX_SAFE_INTEGER);
+            await this.seekTo(0);
+        }
+
+        canvas.width = CONFIG.recording.width;
+        canvas.height = CONFIG.recording.height;
+
+        AppState.camera.isInitialized = true;
+        AppState.camera.source = 'file';
+        AppState.camera.fileName = file.name;
+
+        Utils.log(`Video cargado: ${file.name} (${video.duration.toFixed(2)} s)`);
+        return video.duration;
+    },
+
+    /**
+     * Posiciona el video importado en un instante concreto
+     * @param {number} time - Tiempo en segundos
+     * @returns {Promise<void>} Se resuelve cuando el frame está disponible
+     */
+    seekTo(time) {
+        const video = AppState.elements.video;
+
+        return new Promise((resolve, reject) => {
+            const onSeeked = () => {
+                video.removeEventListener('error', onError);
+                resolve();
+            };
+            const onError = () => {
+                video.removeEventListener('seeked', onSeeked);
+                reject(new Error(`No se pudo posicionar el video en ${time.toFixed(2)} s`));
+            };
+
+            video.addEventListener('seeked', onSeeked, { once: true });
+            video.addEventListener('error', onError, { once: true });
+            video.currentTime = time;
+        });
+    },
+
+    /**
+     * Libera el video importado, si lo hay
+     */
+    releaseVideoFile() {
+        if (AppState.camera.fileUrl) {
+            const video = AppState.elements.video;
+            video.removeAttribute('src');
+            video.load();
+
+            URL.revokeObjectURL(AppState.camera.fileUrl);
+            AppState.camera.fileUrl = null;
+            AppState.camera.fileName = '';
+            AppState.camera.source = 'camera';
+            AppState.camera.isInitialized = false;
+            Utils.log('Video importado liberado');
+        }
+    },
+
+    /**
+     * Captura un frame de la cámara. La toma del frame es inmediata; la codificación
+     * es asíncrona y se hace en el worker si está disponible.
+     * @param {HTMLVideoElement|ImageBitmap} source - Video en vivo o frame guardado del pre-roll
+     * @returns {Promise<Blob>} Imagen codificada
+     */
+    captureFrame(source = AppState.elements.video) {
+        if (!AppState.camera.isInitialized) {
+            throw new Error('Cámara no inicializada');
+        }
+
+        const { canvas, ctx } = AppState.elements;
+        const { width, height } = this.getOutputSize();
+        const sourceWidth = (source.videoWidth ?? source.width) || width;
+        const sourceHeight = (source.videoHeight ?? source.height) || height;
+
+        // Solo la región de interés, si hay una fijada; si no, el frame completo
+        const region = RoiController.getSourceRect(sourceWidth, sourceHeight) ||
+                       { x: 0, y: 0, width: sourceWidth, height: sourceHeight };
+
+        // Recortar o añadir bandas, sin deformar la imagen
+        const rects = this.getDrawRects(region.width, region.height, width, height, CONFIG.recording.fitMode);
+        rects.sx += region.x;
+        rects.sy += region.y;
+
+        if (EncoderController.isReady()) {
+            return EncoderController.encode(source, rects, width, height);
+        }
+        
+        // Asegurar que el canvas tenga las dimensiones correctas
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        
+        // Limpiar el canvas antes de dibujar (las bandas del letterbox quedan en negro)
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        
+        ctx.drawImage(source, rects.sx, rects.sy, rects.sw, rects.sh, rects.dx, rects.dy, rects.dw, rects.dh);
+        
+        return Utils.canvasToBlob(canvas, CONFIG.recording.format, CONFIG.recording.quality);
+    },
+
+    /**
+     * Tamaño de los frames exportados: el de la región de interés si hay una fijada
+     * @returns {Object} width y height en píxeles
+     */
+    getOutputSize() {
+        return AppState.roi.isLocked
+            ? { width: CONFIG.roi.outputWidth, height: CONFIG.roi.outputHeight }
+            : { width: CONFIG.recording.width, height: CONFIG.recording.height };
+    },
+
+    /**
+     * Calcula las regiones de origen y destino para ajustar el video sin deformarlo
+     * @param {number} srcWidth - Ancho del video
+     * @param {number} srcHeight - Alto del video
+     * @param {number} dstWidth - Ancho de salida
+     * @param {number} dstHeight - Alto de salida
+     * @param {string} mode - crop (recorte centrado) o letterbox (bandas)
+     * @returns {Object} Regiones { sx, sy, sw, sh, dx, dy, dw, dh }
+     */
+    getDrawRects(srcWidth, srcHeight, dstWidth, dstHeight, mode) {
+        if (mode === 'letterbox') {
+            const scale = Math.min(dstWidth / srcWidth, dstHeight / srcHeight);
+            const dw = srcWidth * scale;
+            const dh = srcHeight * scale;
+
+            return {
+                sx: 0, sy: 0, sw: srcWidth, sh: srcHeight,
+                dx: (dstWidth - dw) / 2, dy: (dstHeight - dh) / 2, dw, dh
+            };
+        }
+
+        const scale = Math.max(dstWidth / srcWidth, dstHeight / srcHeight);
+        const sw = dstWidth / scale;
+        const sh = dstHeight / scale;
+
+        return {
+            sx: (srcWidth - sw) / 2, sy: (srcHeight - sh) / 2, sw, sh,
+            dx: 0, dy: 0, dw: dstWidth, dh: dstHeight
+        };
+    },
+
+    /**
+     * Empieza a grabar el stream de la cámara con MediaRecorder para el clip WebM de la toma
+     * @returns {Object|null} Grabador en curso, o null si no se graba clip
+     */
+    startClip() {
+        const { stream, source } = AppState.camera;
+        if (!CONFIG.recording.recordClip || source !== 'camera' || !stream || typeof MediaRecorder === 'undefined') {
+            return null;
+        }
+
+        const mimeType = CONFIG.video.clipMimeTypes.find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) {
+            Utils.log('El navegador no puede grabar WebM: la toma se exporta solo como frames');
+            return null;
+        }
+
+        try {
+            const chunks = [];
+            const recorder = new MediaRecorder(stream, {
+                mimeType,
+                videoBitsPerSecond: CONFIG.video.clipBitrate
+            });
+            recorder.ondataavailable = event => {
+                if (event.data && event.data.size > 0) {
+                    chunks.push(event.data);
+                }
+            };
+            recorder.start();
+            return { recorder, chunks, mimeType };
+        } catch (error) {
+            Utils.log('No se pudo iniciar la grabación del clip', error);
+            return null;
+        }
+    },
+
+    /**
+     * Detiene el clip y devuelve el video
+     * @param {Object|null} clip - Grabador devuelto por startClip
+     * @returns {Promise<Blob|null>} Video WebM, o null si no hay clip
+     */
+    stopClip(clip) {
+        if (!clip || clip.recorder.state === 'inactive') {
+            return Promise.resolve(null);
+        }
+
+        return new Promise(resolve => {
+            clip.recorder.onstop = () => {
+                resolve(clip.chunks.length > 0 ? new Blob(clip.chunks, { type: clip.mimeType }) : null);
+            };
+            clip.recorder.onerror = event => {
+                Utils.log('Error al grabar el clip', event.error);
+                resolve(null);
+            };
+            clip.recorder.stop();
+        });
+    },
+
+    /**
+     * Mantiene un buffer circular con los últimos frames de la vista previa para
+     * añadirlos al principio de cada toma. Solo guarda ImageBitmaps; se codifican
+     * al empezar la grabación.
+     */
+    startPreRoll() {
+        if (AppState.camera.preRollTimer) return;
+
+        const tick = () => {
+            this.bufferPreRollFrame();
+            AppState.camera.preRollTimer = setTimeout(tick, Utils.getFrameInterval());
+        };
+        tick();
+    },
+
+    /**
+     * Añade el frame actual al buffer del pre-roll si procede
+     */
+    bufferPreRollFrame() {
+        const camera = AppState.camera;
+        const size = CONFIG.recording.preRollFrames;
+        const video = AppState.elements.video;
+
+        if (size === 0 || camera.source !== 'camera' || !camera.isInitialized) {
+            this.releasePreRoll();
+            return;
+        }
+
+        // Durante la captura el buffer se detiene; la cuenta atrás sí se guarda
+        if (AppState.recording.currentSession || !video.videoWidth || typeof createImageBitmap !== 'function') {
+            return;
+        }
+
+        const time = performance.now();
+        createImageBitmap(video).then(bitmap => {
+            camera.preRoll.push({ bitmap, time });
+            while (camera.preRoll.length > CONFIG.recording.preRollFrames) {
+                camera.preRoll.shift().bitmap.close();
+            }
+        }).catch(error => Utils.log('No se pudo guardar un frame del pre-roll', error));
+    },
+
+    /**
+     * Entrega los frames del pre-roll y vacía el buffer
+     * @returns {Array<Object>} Frames recientes [{ bitmap, time }] en orden cronológico
+     */
+    takePreRoll() {
+        const size = CONFIG.recording.preRollFrames;
+        const oldest = performance.now() - (size + 1) * Utils.getFrameInterval();
+        const buffered = AppState.camera.preRoll;
+        AppState.camera.preRoll = [];
+
+        // Descartar frames antiguos (p. ej. anteriores a la toma previa)
+        const recent = buffered.filter(entry => entry.time >= oldest).slice(-size);
+        buffered.filter(entry => !recent.includes(entry)).forEach(entry => entry.bitmap.close());
+        return recent;
+    },
+
+    /**
+     * Libera los frames del buffer del pre-roll
+     */
+    releasePreRoll() {
+        AppState.camera.preRoll.forEach(entry => entry.bitmap.close());
+        AppState.camera.preRoll = [];
+    },
+
+    /**
+     * Detiene el buffer del pre-roll
+     */
+    stopPreRoll() {
+        if (AppState.camera.preRollTimer) {
+            clearTimeout(AppState.camera.preRollTimer);
+            AppState.camera.preRollTimer = null;
+        }
+        this.releasePreRoll();
+    },
+
+    /**
+     * Limpia los recursos de la cámara
+     */
+    cleanup() {
+        this.stopPreRoll();
+
+        if (AppState.camera.stream) {
+            AppState.camera.stream.getTracks().forEach(track => track.stop());
+            AppState.camera.stream = null;
+            AppState.camera.trackSettings = null;
+            AppState.camera.isInitialized = false;
+            UIController.updateCameraInfo();
+            Utils.log('Recursos de cámara liberados');
+        }
+
+        this.releaseVideoFile();
+    }
+};
+
+// =================================================================
+// REGIÓN DE INTERÉS
+// =================================================================
+
+/**
+ * Controlador de la región de interés: se dibuja arrastrando sobre la vista previa
+ * y, una vez fijada, captureFrame solo codifica esa zona al tamaño de CONFIG.roi
+ */
+const RoiController = {
+    /**
+     * Enlaza los eventos de arrastre sobre el video
+     */
+    init() {
+        const video = AppState.elements.video;
+        if (!video) return;
+
+        video.addEventListener('pointerdown', event => this.onPointerDown(event));
+        video.addEventListener('pointermove', event => this.onPointerMove(event));
+        video.addEventListener('pointerup', event => this.onPointerUp(event));
+        video.addEventListener('pointercancel', event => this.onPointerUp(event));
+
+        // El rectángulo se recoloca si cambia el tamaño de la vista previa
+        video.addEventListener('loadedmetadata', () => this.render());
+        window.addEventListener('resize', () => this.render());
+
+        this.render();
+    },
+
+    /**
+     * Permite dibujar una región nueva
+     */
+    startEditing() {
+        if (AppState.recording.isActive) return;
+
+        if (AppState.roi.isLocked && AppState.recording.data.length > 0 &&
+            !confirm('Las grabaciones ya hechas conservan la región anterior. ¿Cambiar la región?')) {
+            return;
+        }
+
+        AppState.roi.isEditing = true;
+        AppState.roi.isLocked = false;
+        UIController.updateStatus('✂️ Arrastra sobre la vista previa para marcar la región', 'idle');
+        this.render();
+    },
+
+    /**
+     * Fija la región dibujada para las siguientes grabaciones
+     */
+    lock() {
+        if (!AppState.roi.rect) {
+            Utils.showError('Primero dibuja una región sobre la vista previa');
+            return;
+        }
+
+        AppState.roi.isEditing = false;
+        AppState.roi.isLocked = true;
+        UIController.updateStatus(
+            `🔒 Región fijada: los frames se exportan a ${CONFIG.roi.outputWidth}x${CONFIG.roi.outputHeight}`,
+            'idle'
+        );
+        Utils.log('Región de interés fijada', AppState.roi.rect);
+        this.render();
+    },
+
+    /**
+     * Quita la región y vuelve a capturar el frame completo
+     */
+    clear() {
+        if (AppState.recording.isActive) return;
+
+        AppState.roi.rect = null;
+        AppState.roi.isEditing = false;
+        AppState.roi.isLocked = false;
+        AppState.roi.dragStart = null;
+        this.render();
+    },
+
+    /**
+     * Convierte la posición del puntero a coordenadas normalizadas del video
+     * @param {PointerEvent} event - Evento del puntero
+     * @returns {Object} x e y entre 0 y 1
+     */
+    getPoint(event) {
+        const bounds = AppState.elements.video.getBoundingClientRect();
+        const clamp = value => Math.min(1, Math.max(0, value));
+        return {
+            x: clamp((event.clientX - bounds.left) / bounds.width),
+            y: clamp((event.clientY - bounds.top) / bounds.height)
+        };
+    },
+
+    /**
+     * Empieza a dibujar la región
+     * @param {PointerEvent} event - Evento del puntero
+     */
+    onPointerDown(event) {
+        if (!AppState.roi.isEditing) return;
+
+        event.preventDefault();
+        AppState.elements.video.setPointerCapture(event.pointerId);
+        AppState.roi.dragStart = this.getPoint(event);
+        AppState.roi.rect = null;
+        this.render();
+    },
+
+    /**
+     * Actualiza la región mientras se arrastra
+     * @param {PointerEvent} event - Evento del puntero
+     */
+    onPointerMove(event) {
+        const start = AppState.roi.dragStart;
+        if (!AppState.roi.isEditing || !start) return;
+
+        const point = this.getPoint(event);
+        AppState.roi.rect = {
+            x: Math.min(start.x, point.x),
+            y: Math.min(start.y, point.y),
+            width: Math.abs(point.x - start.x),
+            height: Math.abs(point.y - start.y)
+        };
+        this.render();
+    },
+
+    /**
+     * Termina de dibujar la región
+     * @param {PointerEvent} event - Evento del puntero
+     */
+    onPointerUp(event) {
+        if (!AppState.roi.dragStart) return;
+
+        this.onPointerMove(event);
+        AppState.roi.dragStart = null;
+
+        // Un clic sin arrastrar no es una región
+        const rect = AppState.roi.rect;
+        if (rect && (rect.width < CONFIG.roi.minSize || rect.height < CONFIG.roi.minSize)) {
+            AppState.roi.rect = null;
+        }
+        this.render();
+    },
+
+    /**
+     * Región fijada en píxeles del video
+     * @param {number} videoWidth - Ancho del video
+     * @param {number} videoHeight - Alto del video
+     * @returns {Object|null} x, y, width, height, o null si no hay región fijada
+     */
+    getSourceRect(videoWidth, videoHeight) {
+        const { rect, isLocked } = AppState.roi;
+        if (!isLocked || !rect) return null;
+
+        const x = Math.round(rect.x * videoWidth);
+        const y = Math.round(rect.y * videoHeight);
+        return {
+            x,
+            y,
+            width: Math.max(1, Math.min(videoWidth - x, Math.round(rect.width * videoWidth))),
+            height: Math.max(1, Math.min(videoHeight - y, Math.round(rect.height * videoHeight)))
+        };
+    },
+
+    /**
+     * Datos de la región que se guardan con cada grabación
+     * @param {number} videoWidth - Ancho del video
+     * @param {number} videoHeight - Alto del video
+     * @returns {Object|null} Región en píxeles y normalizada, o null si no hay
+     */
+    getMetadata(videoWidth, videoHeight) {
+        const source = this.getSourceRect(videoWidth, videoHeight);
+        if (!source) return null;
+
+        const round = value => Number(value.toFixed(4));
+        const { rect } = AppState.roi;
+        return {
+            ...source,
+            normalized: {
+                x: round(rect.x),
+                y: round(rect.y),
+                width: round(rect.width),
+                height: round(rect.height)
+            }
+        };
+    },
+
+    /**
+     * Dibuja el rectángulo sobre la vista previa y actualiza los botones
+     */
+    render() {
+        const { rect, isEditing, isLocked } = AppState.roi;
+        const video = AppState.elements.video;
+        const box = document.getElementById('roiBox');
+
+        if (video) {
+            video.classList.toggle('roi-editing', isEditing);
+        }
+
+        if (box) {
+            box.classList.toggle('hidden', !rect);
+            box.classList.toggle('roi-locked', isLocked);
+            if (rect && video) {
+                box.style.left = `${video.offsetLeft + rect.x * video.clientWidth}px`;
+                box.style.top = `${video.offsetTop + rect.y * video.clientHeight}px`;
+                box.style.width = `${rect.width * video.clientWidth}px`;
+                box.style.height = `${rect.height * video.clientHeight}px`;
+            }
+        }
+
+        UIController.setButtonStates({
+            roiEditBtn: isEditing,
+            roiLockBtn: isLocked || !rect,
+            roiClearBtn: !rect
+        });
+        UIController.updateCameraInfo();
+    }
+};
+
+// =================================================================
+// CODIFICACIÓN EN SEGUNDO PLANO
+// =================================================================
+
+/**
+ * Código del worker de codificación. Se serializa con toString() para crear el
+ * worker desde un Blob y no depender de un archivo aparte.
+ *
+ * El worker solo codifica: el guardado en IndexedDB sigue en el hilo principal. Se
+ * hace una vez por toma, al terminarla, y la base de datos ya escribe los Blobs
+ * fuera del hilo, así que moverlo no aliviaría la captura y duplicaría la conexión.
+ */
+function encoderWorkerMain() {
+    let canvas = null;
+    let ctx = null;
+
+    self.onmessage = async event => {
+        const message = event.data;
+
+        if (message.type === 'ping') {
+            // convertToBlob vuelve a PNG en silencio si no sabe codificar el formato pedido
+            const formats = {};
+            for (const format of message.formats || []) {
+                try {
+                    formats[format] = (await new OffscreenCanvas(2, 2).convertToBlob({ type: format, quality: message.quality })).type;
+                } catch (error) {
+                    // Si no puede ni intentarlo, el primer frame fallará y se pasará al hilo principal
+                }
+            }
+            self.postMessage({ type: 'ready', formats });
+            return;
+        }
+
+        if (message.type !== 'encode') {
+            return;
+        }
+
+        const { id, bitmap, width, height, rect, format, quality } = message;
+        try {
+            if (!canvas || canvas.width !== width || canvas.height !== height) {
+                canvas = new OffscreenCanvas(width, height);
+                ctx = canvas.getContext('2d');
+            }
+
+            // Las bandas del letterbox quedan en negro, igual que en el hilo principal
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, width, height);
+            ctx.drawImage(bitmap, rect.dx, rect.dy, rect.dw, rect.dh);
+            bitmap.close();
+
+            const blob = await canvas.convertToBlob({ type: format, quality });
+            self.postMessage({ type: 'encoded', id, blob });
+        } catch (error) {
+            self.postMessage({ type: 'error', id, message: error.message });
+        }
+    };
+}
+
+/**
+ * Controlador del worker que codifica los frames fuera del hilo principal.
+ * El hilo principal solo toma un ImageBitmap ya recortado y escalado.
+ */
+const EncoderController = {
+    /**
+     * Arranca el worker si el navegador soporta Worker, OffscreenCanvas y createImageBitmap.
+     * Mientras no responda, los frames se codifican en el hilo principal.
+     */
+    init() {
+        const state = AppState.encoder;
+
+        if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' ||
+            typeof createImageBitmap !== 'function') {
+            Utils.log('Worker de codificación no disponible: se codifica en el hilo principal');
+            return;
+        }
+
+        let url = null;
+        try {
+            url = URL.createObjectURL(new Blob(
+                [`(${encoderWorkerMain.toString()})();`],
+                { type: 'text/javascript' }
+            ));
+            state.worker = new Worker(url);
+        } catch (error) {
+            // Algunos navegadores bloquean workers en páginas abiertas con file://
+            Utils.log('No se pudo crear el worker de codificación', error);
+            state.worker = null;
+            return;
+        } finally {
+            if (url) {
+                URL.revokeObjectURL(url);
+            }
+        }
+
+        state.worker.onmessage = event => this.handleMessage(event.data);
+        state.worker.onerror = event => {
+            event.preventDefault();
+            this.disable(new Error(event.message || 'Error en el worker de codificación'));
+        };
+        state.worker.postMessage({ type: 'ping', formats: CONFIG.settings.formats, quality: CONFIG.recording.quality });
+    },
+
+    /**
+     * Indica si los frames pueden enviarse al worker
+     * @returns {boolean} True si el worker respondió al arrancar
+     */
+    isReady() {
+        return AppState.encoder.isReady;
+    },
+
+    /**
+     * Toma el frame actual del video y lo codifica en el worker
+     * @param {HTMLVideoElement|ImageBitmap} video - Fuente del frame
+     * @param {Object} rects - Regiones calculadas por CameraController.getDrawRects
+     * @param {number} width - Ancho de salida
+     * @param {number} height - Alto de salida
+     * @returns {Promise<Blob>} Imagen codificada
+     */
+    encode(video, rects, width, height) {
+        const state = AppState.encoder;
+        const id = state.nextId++;
+        const { format, quality } = CONFIG.recording;
+
+        // createImageBitmap copia el frame al llamarlo; recorte y escalado ocurren aquí
+        const bitmapPromise = createImageBitmap(video, rects.sx, rects.sy, rects.sw, rects.sh, {
+            resizeWidth: Math.max(1, Math.round(rects.dw)),
+            resizeHeight: Math.max(1, Math.round(rects.dh)),
+            resizeQuality: 'high'
+        });
+
+        return new Promise((resolve, reject) => {
+            state.pending.set(id, { resolve, reject });
+
+            bitmapPromise.then(bitmap => {
+                if (!state.worker) {
+                    bitmap.close();
+                    throw new Error('El worker de codificación se detuvo');
+                }
+                state.worker.postMessage({
+                    type: 'encode',
+                    id,
+                    bitmap,
+                    width,
+                    height,
+                    rect: { dx: rects.dx, dy: rects.dy, dw: rects.dw, dh: rects.dh },
+                    format,
+                    quality
+                }, [bitmap]);
+            }).catch(error => {
+                state.pending.delete(id);
+                reject(error);
+            });
+        });
+    },
+
+    /**
+     * Procesa los mensajes de finalización del worker
+     * @param {Object} message - Mensaje recibido
+     */
+    handleMessage(message) {
+        const state = AppState.encoder;
+
+        if (message.type === 'ready') {
+            state.isReady = true;
+            Utils.log('Worker de codificación listo', message.formats);
+            SettingsController.applyWorkerFormats(message.formats);
+            return;
+        }
+
+        const job = state.pending.get(message.id);
+        if (!job) {
+            return;
+        }
+        state.pending.delete(message.id);
+
+        if (message.type === 'encoded') {
+            job.resolve(message.blob);
+        } else {
+            job.reject(new Error(message.message || 'El worker no pudo codificar el frame'));
+        }
+    },
+
+    /**
+     * Detiene el worker y rechaza los frames pendientes
+     * @param {Error} error - Motivo
+     */
+    disable(error) {
+        const state = AppState.encoder;
+        Utils.log('Worker de codificación desactivado, se codifica en el hilo principal', error);
+
+        if (state.worker) {
+            state.worker.terminate();
+            state.worker = null;
+        }
+        state.isReady = false;
+
+        state.pending.forEach(job => job.reject(error));
+        state.pending.clear();
+    }
+};
+
+// =================================================================
+// PERSISTENCIA LOCAL
+// =================================================================
+
+/**
+ * Controlador de persistencia en IndexedDB
+ */
+const StorageController = {
+    /**
+     * Abre la base de datos y crea los almacenes si no existen
+     * @returns {Promise<boolean>} True si IndexedDB está disponible
+     */
+    async init() {
+        if (typeof indexedDB === 'undefined') {
+            Utils.log('IndexedDB no disponible, las grabaciones solo se guardarán en memoria');
+            return false;
+        }
+
+        try {
+            AppState.storage.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(CONFIG.storage.dbName, CONFIG.storage.dbVersion);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('session')) {
+                        db.createObjectStore('session');
+                    }
+                    if (!db.objectStoreNames.contains('recordings')) {
+                        const store = db.createObjectStore('recordings', {
+                            keyPath: ['signName', 'recordingNumber']
+                        });
+                        store.createIndex('signName', 'signName', { unique: false });
+                    }
+                    if (!db.objectStoreNames.contains('uploads')) {
+                        db.createObjectStore('uploads', { keyPath: 'id' });
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Base de datos bloqueada por otra pestaña'));
+            });
+
+            AppState.storage.isAvailable = true;
+            Utils.log('Base de datos local abierta');
+            return true;
+
+        } catch (error) {
+            Utils.log('Error al abrir la base de datos local', error);
+            AppState.storage.isAvailable = false;
+            return false;
+        }
+    },
+
+    /**
+     * Ejecuta una operación sobre un almacén y espera a que termine la transacción
+     * @param {string} storeName - Nombre del almacén
+     * @param {string} mode - Modo de la transacción (readonly, readwrite)
+     * @param {Function} operation - Recibe el almacén y devuelve un IDBRequest opcional
+     * @returns {Promise<any>} Resultado de la petición
+     */
+    transaction(storeName, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const tx = AppState.storage.db.transaction(storeName, mode);
+            const request = operation(tx.objectStore(storeName));
+
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transacción abortada'));
+        });
+    },
+
+    /**
+     * Guarda los metadatos de la sesión actual
+     * @param {Object} session - Metadatos de la sesión
+     */
+    async saveSession(session) {
+        if (!AppState.storage.isAvailable) return;
+
+        await this.transaction('session', 'readwrite', store =>
+            store.put({ ...session, updatedAt: new Date().toISOString() }, CONFIG.storage.sessionKey)
+        );
+    },
+
+    /**
+     * Guarda los metadatos de la sesión en curso a partir del estado global
+     */
+    async saveCurrentSession() {
+        await this.saveSession({
+            signName: AppState.app.currentSignName,
+            counter: AppState.recording.counter,
+            queue: QueueController.getState()
+        });
+    },
+
+    /**
+     * Obtiene los metadatos de la sesión guardada
+     * @returns {Promise<Object|null>} Sesión guardada o null
+     */
+    async loadSession() {
+        if (!AppState.storage.isAvailable) return null;
+
+        const session = await this.transaction('session', 'readonly', store =>
+            store.get(CONFIG.storage.sessionKey)
+        );
+        return session || null;
+    },
+
+    /**
+     * Guarda una grabación completa (frames y metadatos)
+     * @param {Object} recording - Grabación a guardar
+     */
+    async saveRecording(recording) {
+        if (!AppState.storage.isAvailable) return;
+
+        await this.transaction('recordings', 'readwrite', store => store.put(recording));
+        Utils.log(`Grabación ${recording.recordingNumber} guardada en la base de datos local`);
+    },
+
+    /**
+     * Obtiene las grabaciones guardadas de una seña
+     * @param {string} signName - Nombre de la seña
+     * @returns {Promise<Array>} Grabaciones ordenadas por número
+     */
+    async getRecordings(signName) {
+        if (!AppState.storage.isAvailable) return [];
+
+        const recordings = await this.transaction('recordings', 'readonly', store =>
+            store.index('signName').getAll(signName)
+        );
+        return (recordings || []).sort((a, b) => a.recordingNumber - b.recordingNumber);
+    },
+
+    /**
+     * Sustituye todas las grabaciones guardadas de una seña
+     * @param {string} signName - Nombre de la seña
+     * @param {Array} recordings - Grabaciones que deben quedar guardadas
+     */
+    async replaceRecordings(signName, recordings) {
+        if (!AppState.storage.isAvailable) return;
+
+        await this.transaction('recordings', 'readwrite', store => {
+            const request = store.index('signName').getAllKeys(signName);
+            request.onsuccess = () => {
+                request.result.forEach(key => store.delete(key));
+                recordings.forEach(recording => store.put(recording));
+            };
+            return null;
+        });
+    },
+
+    /**
+     * Guarda una subida pendiente con su contenido, para reanudarla tras recargar
+     * @param {Object} job - Subida de UploadController
+     */
+    async saveUpload(job) {
+        if (!AppState.storage.isAvailable) return;
+
+        await this.transaction('uploads', 'readwrite', store => store.put(job));
+    },
+
+    /**
+     * Obtiene las subidas pendientes
+     * @returns {Promise<Array>} Subidas ordenadas por fecha de creación
+     */
+    async getUploads() {
+        if (!AppState.storage.isAvailable) return [];
+
+        const jobs = await this.transaction('uploads', 'readonly', store => store.getAll());
+        return (jobs || []).sort((a, b) => a.createdAt - b.createdAt);
+    },
+
+    /**
+     * Elimina una subida terminada o sustituida
+     * @param {string} id - Identificador de la subida
+     */
+    async deleteUpload(id) {
+        if (!AppState.storage.isAvailable) return;
+
+        await this.transaction('uploads', 'readwrite', store => store.delete(id));
+    },
+
+    /**
+     * Elimina la sesión guardada y todas sus grabaciones (las subidas pendientes se conservan)
+     */
+    async clear() {
+        if (!AppState.storage.isAvailable) return;
+
+        await this.transaction('recordings', 'readwrite', store => store.clear());
+        await this.transaction('session', 'readwrite', store => store.clear());
+        AppState.storage.pendingSession = null;
+        Utils.log('Base de datos local vaciada');
+    }
+};
+
+// =================================================================
+// GESTIÓN DE GRABACIÓN
+// =================================================================
+
+/**
+ * Controlador de grabación
+ */
+const RecordingController = {
+    /**
+     * Inicia una sesión de grabación
+     * @param {Object} options - Opciones de la sesión
+     * @param {number} [options.recordingNumber] - Número a repetir (sustituye esa grabación)
+     */
+    async startSession(options = {}) {
+        if (AppState.recording.isActive) {
+            Utils.log('Ya hay una grabación en curso');
+            return;
+        }
+
+        if (!SignerController.canRecord()) {
+            return;
+        }
+
+        Utils.log('Iniciando sesión de grabación');
+        AppState.recording.isActive = true;
+
+        // Configurar UI
+        UIController.setButtonStates({
+            recordBtn: true,
+            importBtn: true,
+            downloadBtn: true
+        });
+        
+        UIController.updateProgress(0);
+
+        let preRoll = [];
+        let clip = null;
+        try {
+            // Mostrar countdown antes de grabar; en manos libres el movimiento ya es la señal
+            if (options.skipCountdown) {
+                UIController.updateStatus('🔴 ¡GRABANDO! Movimiento detectado', 'recording');
+            } else {
+                await this.showCountdown();
+            }
+            
+            // Iniciar grabación real
+            const isManual = CONFIG.recording.lengthMode === 'manual';
+            const maxDurationMs = isManual ? CONFIG.recording.maxDuration : CONFIG.recording.duration;
+            const session = {
+                signName: AppState.app.currentSignName,
+                recordingNumber: options.recordingNumber || AppState.recording.counter + 1,
+                frames: [],
+                startTime: Date.now(),
+                trigger: options.trigger || 'button',
+                signer: SignerController.snapshot(),
+                lengthMode: CONFIG.recording.lengthMode,
+                maxDurationMs,
+                frameLimit: isManual
+                    ? Math.max(1, Math.floor(maxDurationMs / Utils.getFrameInterval()))
+                    : CONFIG.recording.targetFrames,
+                stopRequested: false,
+                settings: this.getCaptureSettings()
+            };
+
+            AppState.recording.currentSession = session;
+            if (isManual) {
+                UIController.showStopButton(true);
+                UIController.updateStatus('🔴 ¡GRABANDO! Pulsa ⏹️ Detener, Espacio o Escape para terminar', 'recording');
+            }
+            preRoll = CameraController.takePreRoll();
+            clip = CameraController.startClip();
+
+            if (CONFIG.recording.sampling === 'live') {
+                await this.captureFrames(session, clip);
+            } else {
+                // Capturar a la velocidad de la cámara y reducir a instantes uniformes
+                await this.captureNative(session);
+                await this.stopSessionClip(session, clip);
+                await this.resampleSession(session, CONFIG.recording.sampling);
+            }
+
+            await this.prependPreRoll(session, preRoll);
+            this.checkEncodedFormat(session);
+
+            await this.finishSession(session);
+            
+        } catch (error) {
+            Utils.log('Error durante la grabación', error);
+            UIController.updateStatus('Error durante la grabación', 'error');
+            AppState.recording.isActive = false;
+            
+            UIController.resetButtonStates();
+        } finally {
+            // Reanudar el buffer del pre-roll y liberar los frames que no se usaron
+            AppState.recording.currentSession = null;
+            UIController.showStopButton(false);
+            preRoll.forEach(entry => entry.bitmap.close());
+            if (clip && clip.recorder.state !== 'inactive') {
+                clip.recorder.stop();
+            }
+        }
+    },
+
+    /**
+     * Extrae frames equiespaciados del video importado como una grabación más
+     * @param {Object} range - Rango a muestrear en segundos ({ start, end })
+     */
+    async importVideo(range = {}) {
+        if (AppState.recording.isActive) {
+            Utils.log('Ya hay una grabación en curso');
+            return;
+        }
+
+        if (AppState.camera.source !== 'file' || !AppState.camera.isInitialized) {
+            Utils.showError('Primero selecciona un archivo de video');
+            return;
+        }
+
+        if (!SignerController.canRecord()) {
+            return;
+        }
+
+        const video = AppState.elements.video;
+        const start = Math.max(0, Number.isFinite(range.start) ? range.start : 0);
+        const end = Math.min(video.duration, Number.isFinite(range.end) ? range.end : video.duration);
+
+        if (!(end > start)) {
+            Utils.showError('El rango de tiempo no es válido: el final debe ser mayor que el inicio');
+            return;
+        }
+
+        Utils.log(`Extrayendo frames de ${AppState.camera.fileName} (${start.toFixed(2)} s - ${end.toFixed(2)} s)`);
+        AppState.recording.isActive = true;
+
+        UIController.setButtonStates({
+            recordBtn: true,
+            importBtn: true,
+            downloadBtn: true
+        });
+        UIController.updateProgress(0);
+        UIController.updateStatus('🎞️ Extrayendo frames del video...', 'recording');
+
+        try {
+            const session = {
+                signName: AppState.app.currentSignName,
+                recordingNumber: AppState.recording.counter + 1,
+                frames: [],
+                startTime: Date.now(),
+                signer: SignerController.snapshot(),
+                settings: this.getCaptureSettings(),
+                source: {
+                    type: 'file',
+                    fileName: AppState.camera.fileName,
+                    start,
+                    end
+                }
+            };
+
+            AppState.recording.currentSession = session;
+
+            // Mismo espaciado que la cámara: el primer frame en el inicio, sin llegar al final
+            const step = (end - start) / CONFIG.recording.targetFrames;
+
+            for (let i = 0; i < CONFIG.recording.targetFrames; i++) {
+                const time = start + i * step;
+                await CameraController.seekTo(time);
+
+                session.frames.push({
+                    data: await CameraController.captureFrame(),
+                    timestamp: Math.round((time - start) * 1000),
+                    frameNumber: i + 1
+                });
+
+                UIController.updateProgress(((i + 1) / CONFIG.recording.targetFrames) * 100);
+            }
+
+            await this.finishSession(session);
+
+        } catch (error) {
+            Utils.log('Error al extraer frames del video', error);
+            UIController.updateStatus('Error al extraer frames del video', 'error');
+            UIController.updateProgress(0);
+            AppState.recording.isActive = false;
+
+            UIController.resetButtonStates();
+        } finally {
+            // Sin esto el pre-roll no vuelve a llenarse al volver a la cámara
+            AppState.recording.currentSession = null;
+        }
+    },
+
+    /**
+     * Indica si hay una toma manual capturando frames
+     * @returns {boolean} True si la toma en curso espera a que se detenga
+     */
+    isManualCaptureActive() {
+        const session = AppState.recording.currentSession;
+        return Boolean(session && session.lengthMode === 'manual' && !session.stopRequested);
+    },
+
+    /**
+     * Termina la toma manual en curso; los bucles de captura se cierran en el siguiente frame
+     */
+    stopSession() {
+        if (!this.isManualCaptureActive()) return;
+
+        AppState.recording.currentSession.stopRequested = true;
+        UIController.showStopButton(false);
+        UIController.updateStatus('⏹️ Deteniendo grabación...', 'recording');
+        Utils.log('Toma manual detenida por el usuario');
+    },
+
+    /**
+     * Parámetros de captura vigentes, guardados con cada grabación
+     * @returns {Object} Resolución, formato y objetivos de la captura
+     */
+    getCaptureSettings() {
+        const { video } = AppState.elements;
+        const output = CameraController.getOutputSize();
+
+        return {
+            width: output.width,
+            height: output.height,
+            roi: RoiController.getMetadata(video.videoWidth, video.videoHeight),
+            sourceWidth: video.videoWidth,
+            sourceHeight: video.videoHeight,
+            fitMode: CONFIG.recording.fitMode,
+            sampling: CONFIG.recording.sampling,
+            camera: AppState.camera.source === 'camera' && AppState.camera.trackSettings
+                ? AppState.camera.trackSettings.label
+                : null,
+            format: CONFIG.recording.format,
+            quality: CONFIG.recording.quality,
+            targetFrames: CONFIG.recording.targetFrames,
+            duration: CONFIG.recording.duration,
+            preRollFrames: CONFIG.recording.preRollFrames,
+            lengthMode: CONFIG.recording.lengthMode,
+            maxDuration: CONFIG.recording.maxDuration
+        };
+    },
+
+    /**
+     * Muestra countdown antes de grabar (CONFIG.ui.countdownDuration)
+     */
+    async showCountdown() {
+        return new Promise((resolve) => {
+            let remaining = Math.max(0, CONFIG.ui.countdownDuration);
+            
+            const updateCountdown = () => {
+                if (remaining > 0) {
+                    // Se muestran segundos enteros; con 2,5 s el "3" dura solo medio segundo
+                    const countdown = Math.ceil(remaining / 1000);
+                    const wait = remaining - (countdown - 1) * 1000;
+
+                    // Usar clase especial para countdown con animación
+                    const statusElement = document.getElementById('status');
+                    if (statusElement) {
+                        statusElement.textContent = `🕐 Preparándose... ${countdown}`;
+                        statusElement.className = 'status status-countdown';
+                    }
+                    Utils.log(`Countdown: ${countdown}`);
+                    remaining -= wait;
+                    setTimeout(updateCountdown, wait);
+                } else {
+                    UIController.updateStatus('🔴 ¡GRABANDO! Mantén la posición', 'recording');
+                    resolve();
+                }
+            };
+            
+            updateCountdown();
+        });
+    },
+
+    /**
+     * Captura frames durante la sesión en instantes uniformes (k * intervalo).
+     * Usa requestVideoFrameCallback si el navegador lo soporta y setTimeout si no.
+     * @param {Object} session - Sesión de grabación
+     * @param {Object|null} clip - Clip WebM en curso, que se cierra al terminar la captura
+     */
+    async captureFrames(session, clip = null) {
+        const video = AppState.elements.video;
+        const useVideoFrameCallback = typeof video.requestVideoFrameCallback === 'function';
+
+        session.startPerf = performance.now();
+        session.timing = {
+            method: useVideoFrameCallback ? 'requestVideoFrameCallback' : 'setTimeout',
+            uniqueFrames: 0,
+            duplicateFrames: 0,
+            droppedFrames: 0,
+            achievedFps: 0,
+            cameraFps: null
+        };
+
+        if (useVideoFrameCallback) {
+            await this.captureWithVideoFrameCallback(session);
+        } else {
+            await this.captureWithTimeout(session);
+        }
+
+        this.finalizeTiming(session);
+        await this.stopSessionClip(session, clip);
+        await this.resolveFrameData(session.frames);
+        Utils.log(`Grabación completada: ${session.frames.length} frames capturados`, session.timing);
+    },
+
+    /**
+     * Captura guiada por los frames reales de la cámara. Cada posición k se llena con
+     * el último frame disponible en k * intervalo; si la cámara va más lenta que el
+     * objetivo, las posiciones sin frame nuevo repiten el anterior y se marcan como duplicadas.
+     * @param {Object} session - Sesión de grabación
+     * @returns {Promise<void>} Se resuelve al completar los frames objetivo
+     */
+    captureWithVideoFrameCallback(session) {
+        const video = AppState.elements.video;
+        const interval = Utils.getFrameInterval();
+        const targetFrames = session.frameLimit;
+        const duration = session.maxDurationMs;
+
+        let lastPresented = null;
+        let firstPresented = null;
+        let callbackId = null;
+        let watchdog = null;
+        let finished = false;
+
+        return new Promise((resolve, reject) => {
+            const finish = () => {
+                if (finished) return;
+                finished = true;
+                video.cancelVideoFrameCallback(callbackId);
+                clearTimeout(watchdog);
+                resolve();
+            };
+
+            const onFrame = (now, metadata) => {
+                if (finished) return;
+
+                try {
+                    const frameTime = (metadata.captureTime || metadata.expectedDisplayTime || now) - session.startPerf;
+
+                    // presentedFrames salta si el navegador descartó frames de la cámara
+                    if (lastPresented !== null && metadata.presentedFrames - lastPresented > 1) {
+                        session.timing.droppedFrames += metadata.presentedFrames - lastPresented - 1;
+                    }
+                    lastPresented = metadata.presentedFrames;
+                    if (firstPresented === null) {
+                        firstPresented = metadata.presentedFrames;
+                    }
+
+                    if (frameTime >= 0) {
+                        // Posiciones ya vencidas antes de este frame: se repite el anterior
+                        while (session.frames.length < targetFrames &&
+                               (session.frames.length + 1) * interval <= frameTime &&
+                               session.frames.length > 0) {
+                            this.pushDuplicateFrame(session, interval);
+                        }
+
+                        if (session.frames.length < targetFrames && session.frames.length * interval <= frameTime) {
+                            const previous = session.frames[session.frames.length - 1];
+                            const isRepeated = previous && previous.mediaTime === metadata.mediaTime;
+
+                            if (isRepeated) {
+                                this.pushDuplicateFrame(session, interval);
+                            } else {
+                                this.pushFrame(session, {
+                                    data: CameraController.captureFrame(),
+                                    timestamp: Math.round(frameTime),
+                                    mediaTime: metadata.mediaTime
+                                }, interval);
+                            }
+                        }
+                    }
+
+                    session.timing.cameraFrames = lastPresented - firstPresented + 1;
+
+                    if (session.frames.length >= targetFrames ||
+                        (session.stopRequested && session.frames.length > 0)) {
+                        finish();
+                        return;
+                    }
+
+                    callbackId = video.requestVideoFrameCallback(onFrame);
+
+                } catch (error) {
+                    finished = true;
+                    clearTimeout(watchdog);
+                    reject(error);
+                }
+            };
+
+            // Si la cámara deja de entregar frames, completar con el último disponible
+            watchdog = setTimeout(() => {
+                if (finished) return;
+                Utils.log('La cámara dejó de entregar frames, se completan las posiciones restantes');
+
+                try {
+                    if (session.frames.length === 0) {
+                        this.pushFrame(session, {
+                            data: CameraController.captureFrame(),
+                            timestamp: Math.round(performance.now() - session.startPerf),
+                            mediaTime: null
+                        }, interval);
+                    }
+                    // Una toma manual no se rellena hasta el máximo: termina donde se quedó
+                    while (session.lengthMode !== 'manual' && session.frames.length < targetFrames) {
+                        this.pushDuplicateFrame(session, interval);
+                    }
+                    finish();
+                } catch (error) {
+                    finished = true;
+                    reject(error);
+                }
+            }, duration + interval + 1000);
+
+            callbackId = video.requestVideoFrameCallback(onFrame);
+        });
+    },
+
+    /**
+     * Captura con setTimeout corrigiendo la deriva respecto al instante ideal de cada frame.
+     * Los duplicados se detectan con getVideoPlaybackQuality cuando está disponible.
+     * @param {Object} session - Sesión de grabación
+     * @returns {Promise<void>} Se resuelve al completar los frames objetivo
+     */
+    captureWithTimeout(session) {
+        const video = AppState.elements.video;
+        const interval = Utils.getFrameInterval();
+        const targetFrames = session.frameLimit;
+        const getQuality = typeof video.getVideoPlaybackQuality === 'function'
+            ? () => video.getVideoPlaybackQuality()
+            : null;
+
+        const initialQuality = getQuality ? getQuality() : null;
+        let lastTotalFrames = null;
+
+        return new Promise((resolve, reject) => {
+            const captureFrame = () => {
+                try {
+                    const elapsed = performance.now() - session.startPerf;
+                    const quality = getQuality ? getQuality() : null;
+
+                    // Sin frames nuevos desde la última captura: repetir el anterior
+                    if (quality && session.frames.length > 0 && quality.totalVideoFrames === lastTotalFrames) {
+                        this.pushDuplicateFrame(session, interval);
+                    } else {
+                        this.pushFrame(session, {
+                            data: CameraController.captureFrame(),
+                            timestamp: Math.round(elapsed),
+                            mediaTime: quality ? quality.totalVideoFrames : null
+                        }, interval);
+                    }
+
+                    if (quality) {
+                        lastTotalFrames = quality.totalVideoFrames;
+                        session.timing.droppedFrames = quality.droppedVideoFrames - initialQuality.droppedVideoFrames;
+                        session.timing.cameraFrames = quality.totalVideoFrames - initialQuality.totalVideoFrames;
+                    }
+
+                    if (session.frames.length >= targetFrames || session.stopRequested) {
+                        resolve();
+                        return;
+                    }
+
+                    // Programar contra el instante ideal del siguiente frame, no contra el anterior
+                    const nextTime = session.frames.length * interval;
+                    const delay = Math.max(0, nextTime - (performance.now() - session.startPerf));
+                    setTimeout(captureFrame, delay);
+
+                } catch (error) {
+                    reject(error);
+                }
+            };
+
+            captureFrame();
+        });
+    },
+
+    /**
+     * Captura todos los frames que entrega la cámara durante la ventana de la toma
+     * (la duración fija o, en tomas manuales, hasta detenerla o llegar al máximo)
+     * @param {Object} session - Sesión de grabación
+     * @returns {Promise<void>} Se resuelve al terminar la ventana de grabación
+     */
+    captureNative(session) {
+        const video = AppState.elements.video;
+        const duration = session.maxDurationMs;
+        const useVideoFrameCallback = typeof video.requestVideoFrameCallback === 'function';
+        const getQuality = typeof video.getVideoPlaybackQuality === 'function'
+            ? () => video.getVideoPlaybackQuality()
+            : null;
+
+        session.startPerf = performance.now();
+        session.nativeFrames = [];
+        session.nativeMethod = useVideoFrameCallback ? 'requestVideoFrameCallback' : 'setTimeout';
+
+        return new Promise((resolve, reject) => {
+            let callbackId = null;
+            let watchdog = null;
+            let lastMediaTime = null;
+            let finished = false;
+
+            const done = () => {
+                if (finished) return;
+                finished = true;
+                if (useVideoFrameCallback) {
+                    video.cancelVideoFrameCallback(callbackId);
+                }
+                clearTimeout(watchdog);
+                session.endTime = Date.now();
+                session.captureDurationMs = session.stopRequested
+                    ? Math.min(Math.round(performance.now() - session.startPerf), duration)
+                    : duration;
+                resolve();
+            };
+
+            const fail = (error) => {
+                finished = true;
+                clearTimeout(watchdog);
+                reject(error);
+            };
+
+            // Devuelve true cuando se supera la ventana de grabación
+            const capture = (frameTime, mediaTime) => {
+                if (frameTime >= duration || session.stopRequested) {
+                    done();
+                    return true;
+                }
+
+                if (frameTime >= 0 && mediaTime !== lastMediaTime) {
+                    session.nativeFrames.push({
+                        data: CameraController.captureFrame(),
+                        timestamp: frameTime,
+                        mediaTime
+                    });
+                    lastMediaTime = mediaTime;
+                }
+
+                UIController.updateProgress((Math.max(frameTime, 0) / duration) * 100);
+                return false;
+            };
+
+            if (useVideoFrameCallback) {
+                const onFrame = (now, metadata) => {
+                    if (finished) return;
+                    try {
+                        const frameTime = (metadata.captureTime || metadata.expectedDisplayTime || now) - session.startPerf;
+                        if (!capture(frameTime, metadata.mediaTime)) {
+                            callbackId = video.requestVideoFrameCallback(onFrame);
+                        }
+                    } catch (error) {
+                        fail(error);
+                    }
+                };
+
+                // Si la cámara deja de entregar frames, cerrar la ventana igualmente
+                watchdog = setTimeout(done, duration + 1000);
+                callbackId = video.requestVideoFrameCallback(onFrame);
+            } else {
+                const poll = () => {
+                    if (finished) return;
+                    try {
+                        const frameTime = performance.now() - session.startPerf;
+                        const mediaTime = getQuality ? getQuality().totalVideoFrames : frameTime;
+                        if (!capture(frameTime, mediaTime)) {
+                            setTimeout(poll, CONFIG.recording.nativePollInterval);
+                        }
+                    } catch (error) {
+                        fail(error);
+                    }
+                };
+
+                poll();
+            }
+        });
+    },
+
+    /**
+     * Reduce los frames nativos a exactamente targetFrames en instantes uniformes
+     * (k * intervalo), eligiendo el frame más cercano o mezclando los dos vecinos.
+     * Los timestamps originales se conservan en session.originalTimestamps.
+     * @param {Object} session - Sesión con nativeFrames
+     * @param {string} method - nearest | blend
+     */
+    async resampleSession(session, method) {
+        const native = session.nativeFrames;
+        if (!native || native.length === 0) {
+            throw new Error('La cámara no entregó ningún frame durante la grabación');
+        }
+
+        await this.resolveFrameData(native);
+
+        UIController.updateStatus('🔄 Remuestreando frames a instantes uniformes...', 'recording');
+
+        const interval = Utils.getFrameInterval();
+        // Las tomas manuales conservan su duración: tantas posiciones como quepan en ella
+        const targetFrames = session.lengthMode === 'manual'
+            ? Math.max(1, Math.round(session.captureDurationMs / interval))
+            : CONFIG.recording.targetFrames;
+        let lastSource = -1;
+        let uniqueSources = 0;
+        let duplicateFrames = 0;
+        let j = 0;
+
+        for (let k = 0; k < targetFrames; k++) {
+            const t = k * interval;
+
+            // j: último frame nativo con timestamp <= t (o el primero si t es anterior)
+            while (j + 1 < native.length && native[j + 1].timestamp <= t) {
+                j++;
+            }
+
+            const a = native[j];
+            const bIndex = Math.min(j + 1, native.length - 1);
+            const b = native[bIndex];
+
+            let frame;
+            if (method === 'blend' && bIndex !== j && t > a.timestamp) {
+                const weight = (t - a.timestamp) / (b.timestamp - a.timestamp);
+                frame = {
+                    data: await this.blendFrames(a.data, b.data, weight),
+                    sourceFrames: [j + 1, bIndex + 1],
+                    sourceTimestamps: [Math.round(a.timestamp), Math.round(b.timestamp)],
+                    blendWeight: Number(weight.toFixed(3))
+                };
+                uniqueSources++;
+            } else {
+                const useB = bIndex !== j && Math.abs(b.timestamp - t) < Math.abs(t - a.timestamp);
+                const sourceIndex = useB ? bIndex : j;
+                const source = native[sourceIndex];
+                const duplicate = sourceIndex === lastSource;
+
+                frame = {
+                    data: source.data,
+                    sourceFrames: [sourceIndex + 1],
+                    sourceTimestamps: [Math.round(source.timestamp)],
+                    duplicate
+                };
+
+                if (duplicate) {
+                    duplicateFrames++;
+                } else {
+                    uniqueSources++;
+                }
+                lastSource = sourceIndex;
+            }
+
+            session.frames.push({
+                ...frame,
+                timestamp: Math.round(t),
+                targetTimestamp: Math.round(t),
+                duplicate: Boolean(frame.duplicate),
+                frameNumber: k + 1
+            });
+        }
+
+        const elapsedSeconds = session.captureDurationMs / 1000;
+        session.originalTimestamps = native.map(frame => Math.round(frame.timestamp * 10) / 10);
+        session.sampling = { mode: 'resample', method, nativeFrames: native.length };
+        session.timing = {
+            method: `${session.nativeMethod}+${method}`,
+            uniqueFrames: uniqueSources,
+            duplicateFrames,
+            droppedFrames: 0,
+            achievedFps: Number((targetFrames / elapsedSeconds).toFixed(2)),
+            cameraFps: Number((native.length / elapsedSeconds).toFixed(2)),
+            cameraFrames: native.length,
+            elapsedMs: session.endTime ? session.endTime - session.startTime : null
+        };
+
+        delete session.nativeFrames;
+        delete session.nativeMethod;
+
+        Utils.log(`Remuestreo (${method}): ${native.length} frames nativos → ${session.frames.length} frames`);
+    },
+
+    /**
+     * Cierra el clip WebM en cuanto termina la captura, sin esperar a la codificación
+     * ni al remuestreo de los frames
+     * @param {Object} session - Sesión de grabación
+     * @param {Object|null} clip - Grabador devuelto por CameraController.startClip
+     */
+    async stopSessionClip(session, clip) {
+        session.clip = await CameraController.stopClip(clip);
+        if (session.clip) {
+            Utils.log(`Clip de la toma: ${(session.clip.size / 1024).toFixed(0)} KB (${session.clip.type})`);
+        }
+    },
+
+    /**
+     * Comprueba que los frames tienen el formato pedido y guarda el realmente producido
+     * en session.settings.encodedFormat
+     * @param {Object} session - Sesión con los frames ya codificados
+     */
+    checkEncodedFormat(session) {
+        const requested = session.settings.format;
+        const produced = [...new Set(
+            session.frames.map(frame => frame && Utils.getFrameMimeType(frame.data)).filter(Boolean)
+        )];
+
+        session.settings.encodedFormat = produced.length === 1 ? produced[0] : requested;
+
+        if (produced.some(type => type !== requested)) {
+            session.formatMismatch = produced;
+            Utils.log(`Formato pedido ${requested}, el navegador produjo ${produced.join(', ')}`);
+        }
+    },
+
+    /**
+     * Añade al principio de la toma los frames del pre-roll, con timestamps negativos
+     * respecto al inicio de la captura y marcados como preRoll
+     * @param {Object} session - Sesión ya capturada
+     * @param {Array<Object>} preRoll - Frames de CameraController.takePreRoll
+     */
+    async prependPreRoll(session, preRoll) {
+        session.preRollFrames = preRoll.length;
+        if (preRoll.length === 0) return;
+
+        const interval = Utils.getFrameInterval();
+        const frames = await Promise.all(preRoll.map(async (entry, index) => {
+            try {
+                return {
+                    data: await CameraController.captureFrame(entry.bitmap),
+                    timestamp: Math.round(entry.time - session.startPerf),
+                    targetTimestamp: Math.round((index - preRoll.length) * interval),
+                    mediaTime: null,
+                    duplicate: false,
+                    preRoll: true
+                };
+            } finally {
+                entry.bitmap.close();
+            }
+        }));
+
+        session.frames = [...frames, ...session.frames];
+        session.frames.forEach((frame, index) => {
+            frame.frameNumber = index + 1;
+        });
+
+        Utils.log(`Pre-roll: ${preRoll.length} frames añadidos al inicio de la toma`);
+    },
+
+    /**
+     * Espera a que terminen de codificarse los frames (captureFrame devuelve promesas)
+     * @param {Array} frames - Frames cuya propiedad data puede ser una promesa
+     */
+    async resolveFrameData(frames) {
+        let completed = 0;
+        await Promise.all(frames.map(async frame => {
+            frame.data = await frame.data;
+            completed++;
+
+            // Solo se informa si el worker aún tiene frames en cola al acabar la captura
+            if (AppState.encoder.pending.size > 0) {
+                UIController.updateStatus(`⏳ Codificando frames... ${completed}/${frames.length}`, 'recording');
+            }
+        }));
+    },
+
+    /**
+     * Mezcla dos frames con un peso lineal
+     * @param {Blob} dataA - Primer frame
+     * @param {Blob} dataB - Segundo frame
+     * @param {number} weight - Peso del segundo frame (0 - 1)
+     * @returns {Promise<Blob>} Frame mezclado
+     */
+    async blendFrames(dataA, dataB, weight) {
+        const [imageA, imageB] = await Promise.all([Utils.decodeFrame(dataA), Utils.decodeFrame(dataB)]);
+
+        if (!this.blendCanvas) {
+            this.blendCanvas = document.createElement('canvas');
+        }
+
+        const canvas = this.blendCanvas;
+        canvas.width = imageA.naturalWidth || imageA.width;
+        canvas.height = imageA.naturalHeight || imageA.height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.globalAlpha = 1;
+        ctx.drawImage(imageA, 0, 0);
+        ctx.globalAlpha = weight;
+        ctx.drawImage(imageB, 0, 0, canvas.width, canvas.height);
+        ctx.globalAlpha = 1;
+
+        [imageA, imageB].forEach(image => image.close && image.close());
+
+        return Utils.canvasToBlob(canvas, CONFIG.recording.format, CONFIG.recording.quality);
+    },
+
+    /**
+     * Añade un frame nuevo a la sesión
+     * @param {Object} session - Sesión de grabación
+     * @param {Object} frame - Datos del frame ({ data, timestamp, mediaTime })
+     * @param {number} interval - Intervalo objetivo entre frames (ms)
+     */
+    pushFrame(session, frame, interval) {
+        const index = session.frames.length;
+
+        session.frames.push({
+            data: frame.data,
+            timestamp: frame.timestamp,
+            targetTimestamp: Math.round(index * interval),
+            mediaTime: frame.mediaTime,
+            duplicate: false,
+            frameNumber: index + 1
+        });
+        session.timing.uniqueFrames++;
+
+        UIController.updateProgress(((index + 1) / session.frameLimit) * 100);
+    },
+
+    /**
+     * Repite el último frame en la siguiente posición y lo marca como duplicado
+     * @param {Object} session - Sesión de grabación
+     * @param {number} interval - Intervalo objetivo entre frames (ms)
+     */
+    pushDuplicateFrame(session, interval) {
+        const index = session.frames.length;
+        const previous = session.frames[index - 1];
+
+        session.frames.push({
+            data: previous.data,
+            timestamp: previous.timestamp,
+            targetTimestamp: Math.round(index * interval),
+            mediaTime: previous.mediaTime,
+            duplicate: true,
+            frameNumber: index + 1
+        });
+        session.timing.duplicateFrames++;
+
+        UIController.updateProgress(((index + 1) / session.frameLimit) * 100);
+    },
+
+    /**
+     * Calcula los FPS reales de la sesión
+     * @param {Object} session - Sesión de grabación
+     */
+    finalizeTiming(session) {
+        const elapsedSeconds = (performance.now() - session.startPerf) / 1000;
+        const timing = session.timing;
+
+        // La última posición termina un intervalo después de su instante ideal
+        const windowSeconds = Math.max(elapsedSeconds, session.frames.length * Utils.getFrameInterval() / 1000);
+
+        session.endTime = Date.now();
+        session.captureDurationMs = Math.round(windowSeconds * 1000);
+        timing.elapsedMs = Math.round(elapsedSeconds * 1000);
+        timing.achievedFps = windowSeconds > 0
+            ? Number((timing.uniqueFrames / windowSeconds).toFixed(2))
+            : 0;
+        timing.cameraFps = timing.cameraFrames && elapsedSeconds > 0
+            ? Number((timing.cameraFrames / elapsedSeconds).toFixed(2))
+            : null;
+
+        if (timing.duplicateFrames > 0 || timing.droppedFrames > 0) {
+            Utils.log(`Aviso de temporización: ${timing.duplicateFrames} frames duplicados, ${timing.droppedFrames} descartados`);
+        }
+    },
+
+    /**
+     * Finaliza una sesión de grabación
+     * @param {Object} session - Sesión completada
+     */
+    async finishSession(session) {
+        const recording = {
+            ...session,
+            endTime: session.endTime || Date.now(),
+            timestamp: new Date().toISOString()
+        };
+
+        // isActive sigue en true durante el análisis: manos libres no debe empezar otra
+        // toma hasta que esta tenga su número registrado
+        UIController.updateStatus('🔍 Analizando la calidad de la toma...', 'recording');
+        try {
+            recording.qualityCheck = await QualityController.analyze(recording);
+        } catch (error) {
+            Utils.log('Error al analizar la calidad de la grabación', error);
+            recording.qualityCheck = null;
+        }
+
+        // Una repetición sustituye a la grabación con el mismo número
+        const existingIndex = AppState.recording.data.findIndex(
+            rec => rec.recordingNumber === recording.recordingNumber
+        );
+        const replacedRecording = existingIndex >= 0 ? AppState.recording.data[existingIndex] : null;
+        if (existingIndex >= 0) {
+            AppState.recording.data[existingIndex] = recording;
+        } else {
+            AppState.recording.counter++;
+            AppState.recording.data.push(recording);
+        }
+
+        AppState.recording.isActive = false;
+
+        // Actualizar UI
+        UIController.updateRecordingCounter();
+        UIController.resetButtonStates();
+        ReviewController.render();
+        
+        UIController.updateProgress(0);
+        const timingInfo = session.timing
+            ? ` (${session.timing.uniqueFrames} únicos, ${session.timing.achievedFps} FPS reales)`
+            : '';
+        const qualityInfo = recording.qualityCheck
+            ? ` · Calidad: ${QualityController.describe(recording.qualityCheck)}`
+            : '';
+        const formatInfo = recording.formatMismatch
+            ? ` · ⚠️ Formato ${recording.formatMismatch.join(', ')} en lugar de ${recording.settings.format}`
+            : '';
+        UIController.updateStatus(
+            `✅ Grabación ${recording.recordingNumber} ${existingIndex >= 0 ? 'repetida' : 'completada'}. ${session.frames.length} frames capturados${timingInfo}${qualityInfo}${formatInfo}`, 
+            recording.formatMismatch || (recording.qualityCheck && recording.qualityCheck.label === 'reject') ? 'error' : 'idle'
+        );
+
+        Utils.log(`Grabación completada: ${session.frames.length} frames`);
+
+        // Guardar en la base de datos local para sobrevivir a recargas
+        try {
+            await StorageController.saveRecording(recording);
+            await StorageController.saveCurrentSession();
+        } catch (error) {
+            Utils.log('Error al guardar la grabación en la base de datos local', error);
+            UIController.updateStatus(
+                `⚠️ Grabación ${recording.recordingNumber} completada, pero no se pudo guardar localmente`,
+                'error'
+            );
+        }
+
+        // La subida al servidor (si está activada) sigue en segundo plano
+        UploadController.enqueue(recording, replacedRecording);
+
+        // En modo vocabulario, pasar a la siguiente seña al alcanzar el objetivo
+        await QueueController.onRecordingFinished();
+    },
+
+    /**
+     * Elimina una grabación y renumera las siguientes para no dejar huecos
+     * @param {number} recordingNumber - Número de la grabación a eliminar
+     */
+    async deleteRecording(recordingNumber) {
+        if (AppState.recording.isActive) {
+            Utils.log('No se puede eliminar durante una grabación');
+            return;
+        }
+
+        const deleted = AppState.recording.data.find(rec => rec.recordingNumber === recordingNumber);
+        const remaining = AppState.recording.data
+            .filter(rec => rec.recordingNumber !== recordingNumber)
+            .sort((a, b) => a.recordingNumber - b.recordingNumber);
+
+        const renumbered = [];
+        remaining.forEach((rec, index) => {
+            if (rec.recordingNumber !== index + 1) {
+                renumbered.push({ recording: rec, previousNumber: rec.recordingNumber });
+            }
+            rec.recordingNumber = index + 1;
+        });
+
+        AppState.recording.data = remaining;
+        AppState.recording.counter = remaining.length;
+        QueueController.syncCurrent();
+
+        UIController.updateRecordingCounter();
+        UIController.resetButtonStates();
+        ReviewController.render();
+        UIController.updateStatus(`🗑️ Grabación ${recordingNumber} eliminada`, 'idle');
+        Utils.log(`Grabación ${recordingNumber} eliminada, ${remaining.length} restantes`);
+
+        try {
+            await StorageController.replaceRecordings(AppState.app.currentSignName, remaining);
+            await StorageController.saveCurrentSession();
+        } catch (error) {
+            Utils.log('Error al actualizar la base de datos local', error);
+            UIController.updateStatus('⚠️ Grabación eliminada, pero no se pudo actualizar la copia local', 'error');
+        }
+
+        if (deleted) {
+            await UploadController.onRecordingDeleted(deleted, renumbered);
+        }
+    }
+};
+
+// =================================================================
+// MODO MANOS LIBRES
+// =================================================================
+
+/**
+ * Inicia las tomas sin pulsar el botón: compara frames de la vista previa,
+ * se arma cuando el signante está quieto y dispara al detectar movimiento
+ */
+const HandsFreeController = {
+    /**
+     * Recupera la sensibilidad guardada
+     */
+    init() {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(CONFIG.handsFree.storageKey);
+        } catch (error) {
+            saved = null;
+        }
+
+        AppState.handsFree.sensitivity = this.clampSensitivity(saved ?? CONFIG.handsFree.defaultSensitivity);
+        UIController.updateHandsFree();
+    },
+
+    /**
+     * Activa o desactiva el modo manos libres
+     */
+    toggle() {
+        if (AppState.handsFree.isEnabled) {
+            this.stop();
+        } else {
+            this.start();
+        }
+    },
+
+    /**
+     * Empieza a vigilar la vista previa
+     */
+    start() {
+        const state = AppState.handsFree;
+        if (state.isEnabled) return;
+
+        if (AppState.camera.source !== 'camera' || !AppState.camera.isInitialized) {
+            Utils.showError('El modo manos libres necesita la cámara activa');
+            return;
+        }
+
+        if (!SignerController.canRecord()) {
+            return;
+        }
+
+        state.isEnabled = true;
+        state.state = 'waiting';
+        state.previous = null;
+        state.restSince = null;
+        state.timer = setInterval(() => this.tick(), CONFIG.handsFree.pollInterval);
+
+        UIController.updateHandsFree();
+        Utils.log(`Modo manos libres activado (sensibilidad ${state.sensitivity})`);
+    },
+
+    /**
+     * Deja de vigilar la vista previa
+     */
+    stop() {
+        const state = AppState.handsFree;
+        if (state.timer) {
+            clearInterval(state.timer);
+            state.timer = null;
+        }
+
+        if (state.isEnabled) {
+            Utils.log('Modo manos libres desactivado');
+        }
+
+        state.isEnabled = false;
+        state.state = 'off';
+        state.previous = null;
+        state.restSince = null;
+        UIController.updateHandsFree();
+    },
+
+    /**
+     * Cambia la sensibilidad y la guarda
+     * @param {number|string} value - Sensibilidad (1 = poco sensible, 10 = muy sensible)
+     */
+    setSensitivity(value) {
+        const state = AppState.handsFree;
+        state.sensitivity = this.clampSensitivity(value);
+
+        try {
+            localStorage.setItem(CONFIG.handsFree.storageKey, String(state.sensitivity));
+        } catch (error) {
+            Utils.log('No se pudo guardar la sensibilidad', error);
+        }
+
+        UIController.updateHandsFree();
+    },
+
+    /**
+     * Limita la sensibilidad al rango permitido
+     * @param {number|string} value - Valor recibido
+     * @returns {number} Sensibilidad entera válida
+     */
+    clampSensitivity(value) {
+        const { minSensitivity, maxSensitivity, defaultSensitivity } = CONFIG.handsFree;
+        const number = Math.round(Number(value));
+        if (!Number.isFinite(number)) return defaultSensitivity;
+        return Math.min(maxSensitivity, Math.max(minSensitivity, number));
+    },
+
+    /**
+     * Umbrales de movimiento (diferencia media por píxel 0-255) para la sensibilidad actual
+     * @returns {Object} trigger (empezar a grabar) y rest (considerar quieto)
+     */
+    getThresholds() {
+        const trigger = CONFIG.handsFree.maxSensitivity + 2 - AppState.handsFree.sensitivity;
+        return { trigger, rest: trigger * 0.4 };
+    },
+
+    /**
+     * Compara el frame actual con el anterior y avanza la máquina de estados
+     */
+    tick() {
+        const state = AppState.handsFree;
+
+        if (AppState.recording.isActive) {
+            state.state = 'recording';
+            state.previous = null;
+            UIController.updateHandsFree();
+            return;
+        }
+
+        // Tras una toma vuelve a esperar reposo antes de rearmarse
+        if (state.state === 'recording') {
+            state.state = 'waiting';
+            state.restSince = null;
+        }
+
+        if (AppState.camera.source !== 'camera' || !AppState.camera.isInitialized ||
+            AppState.app.isProcessing || AppState.queue.isComplete) {
+            state.previous = null;
+            UIController.updateHandsFree();
+            return;
+        }
+
+        const motion = this.measureMotion();
+        if (motion === null) return;
+
+        const { trigger, rest } = this.getThresholds();
+        const now = performance.now();
+
+        if (state.state === 'waiting') {
+            if (motion < rest) {
+                state.restSince = state.restSince ?? now;
+                if (now - state.restSince >= CONFIG.handsFree.restDuration) {
+                    state.state = 'armed';
+                    Utils.log('Manos libres armado');
+                }
+            } else {
+                state.restSince = null;
+            }
+        } else if (state.state === 'armed' && motion > trigger) {
+            // Una grabación rechazada volvería a dispararse (y a avisar) con cada movimiento
+            if (!SignerController.canRecord()) {
+                this.stop();
+                return;
+            }
+
+            state.state = 'recording';
+            Utils.log(`Manos libres: movimiento ${motion.toFixed(2)} > ${trigger}, iniciando grabación`);
+            RecordingController.startSession({ skipCountdown: true, trigger: 'motion' });
+        }
+
+        UIController.updateHandsFree(motion / trigger);
+    },
+
+    /**
+     * Energía de movimiento entre la vista previa actual y la anterior
+     * @returns {number|null} Diferencia media por píxel, o null si aún no hay referencia
+     */
+    measureMotion() {
+        const state = AppState.handsFree;
+        const video = AppState.elements.video;
+        if (!video.videoWidth || !video.videoHeight) return null;
+
+        if (!state.canvas) {
+            state.canvas = document.createElement('canvas');
+            state.ctx = state.canvas.getContext('2d', { willReadFrequently: true });
+        }
+
+        const width = CONFIG.handsFree.analysisWidth;
+        const height = Math.max(1, Math.round(video.videoHeight * width / video.videoWidth));
+        if (state.canvas.width !== width || state.canvas.height !== height) {
+            state.canvas.width = width;
+            state.canvas.height = height;
+            state.previous = null;
+        }
+
+        state.ctx.drawImage(video, 0, 0, width, height);
+        const gray = QualityController.toGrayscale(state.ctx.getImageData(0, 0, width, height));
+        const previous = state.previous;
+        state.previous = gray;
+
+        return previous ? QualityController.getMotionEnergy(previous, gray) : null;
+    }
+};
+
+// =================================================================
+// CONTROL DE CALIDAD
+// =================================================================
+
+/**
+ * Analiza cada toma al terminarla: nitidez (varianza del laplaciano), brillo medio
+ * y energía de movimiento entre frames, y la etiqueta como ok, warning o reject
+ */
+const QualityController = {
+    // Textos de cada etiqueta
+    labels: {
+        ok: '✅ OK',
+        warning: '⚠️ Revisar',
+        reject: '❌ Descartar'
+    },
+
+    /**
+     * Analiza una grabación
+     * @param {Object} recording - Grabación con frames ya codificados
+     * @returns {Promise<Object>} Resultado con etiqueta, motivos, resumen y métricas por frame
+     */
+    async analyze(recording) {
+        const frames = [];
+        let canvas = null;
+        let ctx = null;
+        let previous = null;
+
+        for (let i = 0; i < recording.frames.length; i++) {
+            const frame = recording.frames[i];
+
+            if (!frame || !frame.data) {
+                frames.push(null);
+                continue;
+            }
+
+            const image = await Utils.decodeFrame(frame.data);
+            const sourceWidth = image.width || image.naturalWidth;
+            const sourceHeight = image.height || image.naturalHeight;
+
+            if (!canvas) {
+                canvas = document.createElement('canvas');
+                canvas.width = Math.min(CONFIG.qualityCheck.analysisWidth, sourceWidth);
+                canvas.height = Math.max(1, Math.round(sourceHeight * canvas.width / sourceWidth));
+                ctx = canvas.getContext('2d', { willReadFrequently: true });
+            }
+
+            ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+            if (typeof image.close === 'function') {
+                image.close();
+            }
+
+            const gray = this.toGrayscale(ctx.getImageData(0, 0, canvas.width, canvas.height));
+
+            // Los frames duplicados repiten al anterior: no aportan movimiento
+            const motion = previous && !frame.duplicate
+                ? this.getMotionEnergy(previous, gray)
+                : null;
+
+            frames.push({
+                sharpness: Number(this.getSharpness(gray, canvas.width, canvas.height).toFixed(2)),
+                brightness: Number(this.getBrightness(gray).toFixed(2)),
+                motion: motion === null ? null : Number(motion.toFixed(3))
+            });
+
+            if (!frame.duplicate) {
+                previous = gray;
+            }
+        }
+
+        const summary = this.summarize(frames);
+        const { label, reasons } = this.classify(summary);
+
+        return { label, reasons, summary, frames };
+    },
+
+    /**
+     * Convierte los píxeles RGBA a luminancia
+     * @param {ImageData} imageData - Píxeles del frame reducido
+     * @returns {Float32Array} Luminancia 0-255 por píxel
+     */
+    toGrayscale(imageData) {
+        const { data } = imageData;
+        const gray = new Float32Array(data.length / 4);
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            gray[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        }
+        return gray;
+    },
+
+    /**
+     * Varianza del laplaciano (núcleo de 4 vecinos): baja cuando la imagen está desenfocada
+     * @param {Float32Array} gray - Luminancia
+     * @param {number} width - Ancho
+     * @param {number} height - Alto
+     * @returns {number} Varianza
+     */
+    getSharpness(gray, width, height) {
+        let sum = 0;
+        let sumSquares = 0;
+        let count = 0;
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const p = y * width + x;
+                const value = gray[p - width] + gray[p + width] + gray[p - 1] + gray[p + 1] - 4 * gray[p];
+                sum += value;
+                sumSquares += value * value;
+                count++;
+            }
+        }
+
+        if (count === 0) return 0;
+        const mean = sum / count;
+        return sumSquares / count - mean * mean;
+    },
+
+    /**
+     * Brillo medio
+     * @param {Float32Array} gray - Luminancia
+     * @returns {number} Media 0-255
+     */
+    getBrightness(gray) {
+        let sum = 0;
+        for (let i = 0; i < gray.length; i++) {
+            sum += gray[i];
+        }
+        return gray.length > 0 ? sum / gray.length : 0;
+    },
+
+    /**
+     * Energía de movimiento: diferencia absoluta media entre dos frames
+     * @param {Float32Array} previous - Luminancia del frame anterior
+     * @param {Float32Array} current - Luminancia del frame actual
+     * @returns {number} Diferencia media 0-255
+     */
+    getMotionEnergy(previous, current) {
+        let sum = 0;
+        for (let i = 0; i < current.length; i++) {
+            sum += Math.abs(current[i] - previous[i]);
+        }
+        return current.length > 0 ? sum / current.length : 0;
+    },
+
+    /**
+     * Resume las métricas de la toma
+     * @param {Array} frames - Métricas por frame (null si el frame falta)
+     * @returns {Object} Nitidez mediana, brillo medio y movimiento medio
+     */
+    summarize(frames) {
+        const valid = frames.filter(Boolean);
+        const mean = values => values.length > 0
+            ? values.reduce((sum, value) => sum + value, 0) / values.length
+            : null;
+
+        // La mediana tolera los frames movidos propios de un gesto rápido
+        const sharpness = valid.map(frame => frame.sharpness).sort((a, b) => a - b);
+        const median = sharpness.length > 0 ? sharpness[Math.floor(sharpness.length / 2)] : null;
+        const brightness = mean(valid.map(frame => frame.brightness));
+        const motion = mean(valid.map(frame => frame.motion).filter(value => value !== null));
+
+        return {
+            sharpness: median === null ? null : Number(median.toFixed(2)),
+            brightness: brightness === null ? null : Number(brightness.toFixed(2)),
+            motion: motion === null ? null : Number(motion.toFixed(3))
+        };
+    },
+
+    /**
+     * Etiqueta la toma según los umbrales de CONFIG.qualityCheck
+     * @param {Object} summary - Resumen de métricas
+     * @returns {Object} Etiqueta (ok, warning, reject) y motivos
+     */
+    classify(summary) {
+        const checks = [
+            { value: summary.sharpness, limits: CONFIG.qualityCheck.sharpness, reason: 'desenfocada' },
+            { value: summary.brightness, limits: CONFIG.qualityCheck.brightness, reason: 'oscura' },
+            { value: summary.motion, limits: CONFIG.qualityCheck.motion, reason: 'sin movimiento' }
+        ];
+
+        let label = 'ok';
+        const reasons = [];
+
+        checks.forEach(({ value, limits, reason }) => {
+            if (value === null) return;
+
+            if (value < limits.reject) {
+                label = 'reject';
+                reasons.push(reason);
+            } else if (value < limits.warning) {
+                if (label === 'ok') label = 'warning';
+                reasons.push(`algo ${reason}`);
+            }
+        });
+
+        return { label, reasons };
+    },
+
+    /**
+     * Texto corto para la interfaz
+     * @param {Object} qualityCheck - Resultado de analyze
+     * @returns {string} Etiqueta y motivos
+     */
+    describe(qualityCheck) {
+        const reasons = qualityCheck.reasons.length > 0 ? ` (${qualityCheck.reasons.join(', ')})` : '';
+        return `${this.labels[qualityCheck.label]}${reasons}`;
+    }
+};
+
+// =================================================================
+// REVISIÓN DE GRABACIONES
+// =================================================================
+
+/**
+ * Controlador del panel de revisión
+ */
+const ReviewController = {
+    // Número de miniaturas por grabación
+    thumbnailCount: 10,
+
+    // Reproducción en curso
+    playback: {
+        timer: null,
+        recordingNumber: null
+    },
+
+    // Object URLs creadas para los frames visibles (Blob → URL)
+    frameUrls: new Map(),
+
+    /**
+     * Dibuja la lista de grabaciones
+     */
+    render() {
+        const list = document.getElementById('reviewList');
+        if (!list) return;
+
+        this.stop();
+        list.replaceChildren();
+        this.releaseFrameUrls();
+
+        const recordings = [...AppState.recording.data]
+            .sort((a, b) => a.recordingNumber - b.recordingNumber);
+
+        if (recordings.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'panel-help';
+            empty.textContent = 'Todavía no hay grabaciones.';
+            list.appendChild(empty);
+            return;
+        }
+
+        recordings.forEach(recording => list.appendChild(this.createItem(recording)));
+    },
+
+    /**
+     * Crea la tarjeta de una grabación
+     * @param {Object} recording - Grabación
+     * @returns {HTMLElement} Elemento de la lista
+     */
+    createItem(recording) {
+        const item = document.createElement('div');
+        item.className = 'review-item';
+        item.dataset.recordingNumber = recording.recordingNumber;
+
+        const frames = recording.frames.filter(frame => frame && frame.data);
+        const duration = frames.length > 1
+            ? (frames[frames.length - 1].timestamp - frames[0].timestamp) / 1000
+            : 0;
+
+        const header = document.createElement('div');
+        header.className = 'review-header';
+        header.textContent = `Grabación ${Utils.padNumber(recording.recordingNumber)} · ` +
+                             `${frames.length} frames · ${duration.toFixed(1)} s`;
+
+        if (recording.qualityCheck) {
+            const { label, summary } = recording.qualityCheck;
+            const badge = document.createElement('span');
+            badge.className = `review-quality review-quality-${label}`;
+            badge.textContent = QualityController.describe(recording.qualityCheck);
+            badge.title = `Nitidez ${summary.sharpness ?? '-'} · Brillo ${summary.brightness ?? '-'} · ` +
+                          `Movimiento ${summary.motion ?? '-'}`;
+            header.appendChild(badge);
+        }
+        item.appendChild(header);
+
+        // Reproductor tipo flipbook
+        const player = document.createElement('img');
+        player.className = 'review-player';
+        player.alt = `Reproducción de la grabación ${recording.recordingNumber}`;
+        if (frames.length > 0) {
+            player.src = this.getFrameUrl(frames[0]);
+        }
+        item.appendChild(player);
+
+        // Tira de miniaturas repartidas por toda la grabación
+        const strip = document.createElement('div');
+        strip.className = 'review-strip';
+        const count = Math.min(this.thumbnailCount, frames.length);
+        for (let i = 0; i < count; i++) {
+            const frame = frames[Math.floor(i * frames.length / count)];
+            const thumb = document.createElement('img');
+            thumb.src = this.getFrameUrl(frame);
+            thumb.alt = `Frame ${frame.frameNumber}`;
+            thumb.title = `Frame ${frame.frameNumber} · ${(frame.timestamp / 1000).toFixed(2)} s`;
+            thumb.addEventListener('click', () => {
+                this.stop();
+                player.src = this.getFrameUrl(frame);
+            });
+            strip.appendChild(thumb);
+        }
+        item.appendChild(strip);
+
+        const actions = document.createElement('div');
+        actions.className = 'button-group';
+        actions.appendChild(this.createButton('▶️ Reproducir', 'btn-secondary', () => this.play(recording.recordingNumber, player)));
+        actions.appendChild(this.createButton('🔁 Repetir esta toma', 'btn-neutral', () => this.retake(recording.recordingNumber)));
+        actions.appendChild(this.createButton('🗑️ Eliminar', 'btn-danger', () => this.remove(recording.recordingNumber)));
+        item.appendChild(actions);
+
+        return item;
+    },
+
+    /**
+     * URL para mostrar un frame en un <img>
+     * @param {Object} frame - Frame con data Blob (o data URL de grabaciones antiguas)
+     * @returns {string} URL del frame
+     */
+    getFrameUrl(frame) {
+        if (typeof frame.data === 'string') {
+            return frame.data;
+        }
+
+        if (!this.frameUrls.has(frame.data)) {
+            this.frameUrls.set(frame.data, URL.createObjectURL(frame.data));
+        }
+        return this.frameUrls.get(frame.data);
+    },
+
+    /**
+     * Libera las object URLs de la lista anterior
+     */
+    releaseFrameUrls() {
+        this.frameUrls.forEach(url => URL.revokeObjectURL(url));
+        this.frameUrls.clear();
+    },
+
+    /**
+     * Crea un botón de acción
+     * @param {string} label - Texto del botón
+     * @param {string} variant - Clase de variante (btn-primary, btn-danger...)
+     * @param {Function} onClick - Acción al pulsar
+     * @returns {HTMLButtonElement} Botón
+     */
+    createButton(label, variant, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn btn-sm ${variant}`;
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    },
+
+    /**
+     * Reproduce una grabación respetando los timestamps capturados
+     * @param {number} recordingNumber - Número de la grabación
+     * @param {HTMLImageElement} player - Imagen donde se reproduce
+     */
+    play(recordingNumber, player) {
+        const recording = AppState.recording.data.find(rec => rec.recordingNumber === recordingNumber);
+        if (!recording) return;
+
+        this.stop();
+
+        const frames = recording.frames.filter(frame => frame && frame.data);
+        if (frames.length === 0) return;
+
+        this.playback.recordingNumber = recordingNumber;
+        let index = 0;
+
+        const showNext = () => {
+            player.src = this.getFrameUrl(frames[index]);
+
+            if (index >= frames.length - 1) {
+                this.playback.timer = null;
+                this.playback.recordingNumber = null;
+                return;
+            }
+
+            const delay = frames[index + 1].timestamp - frames[index].timestamp;
+            index++;
+            this.playback.timer = setTimeout(showNext, Math.max(delay, 0));
+        };
+
+        showNext();
+    },
+
+    /**
+     * Detiene la reproducción en curso
+     */
+    stop() {
+        if (this.playback.timer) {
+            clearTimeout(this.playback.timer);
+            this.playback.timer = null;
+        }
+        this.playback.recordingNumber = null;
+    },
+
+    /**
+     * Vuelve a grabar una toma conservando su número
+     * @param {number} recordingNumber - Número de la grabación
+     */
+    async retake(recordingNumber) {
+        if (AppState.camera.source !== 'camera' || !AppState.camera.isInitialized) {
+            Utils.showError('Para repetir una toma la cámara debe estar activa');
+            return;
+        }
+
+        this.stop();
+        await RecordingController.startSession({ recordingNumber });
+    },
+
+    /**
+     * Elimina una grabación tras confirmarlo
+     * @param {number} recordingNumber - Número de la grabación
+     */
+    async remove(recordingNumber) {
+        const confirmed = confirm(
+            `¿Eliminar la grabación ${recordingNumber}? Las grabaciones siguientes se renumerarán.`
+        );
+        if (!confirmed) return;
+
+        await RecordingController.deleteRecording(recordingNumber);
+    }
+};
+
+// =================================================================
+// MODO VOCABULARIO
+// =================================================================
+
+/**
+ * Controlador de la lista de señas a grabar en una misma sesión
+ */
+const QueueController = {
+    /**
+     * Interpreta una lista de vocabulario: una seña por línea, opcionalmente
+     * seguida de las repeticiones ("hola, 5"). Las líneas con # se ignoran.
+     * @param {string} text - Texto de la lista
+     * @param {number} defaultRepetitions - Repeticiones si la línea no las indica
+     * @returns {Object} Señas válidas y errores por línea
+     */
+    parseList(text, defaultRepetitions) {
+        const signs = [];
+        const errors = [];
+        const seen = new Set();
+        const slugs = new Map();
+
+        text.split(/\r?\n/).forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+
+            const [rawName, rawTarget] = trimmed.split(/[,;\t]/);
+            const validation = Utils.validateSignName(rawName || '');
+
+            if (!validation.isValid) {
+                errors.push(`Línea ${index + 1}: ${validation.error}`);
+                return;
+            }
+
+            const target = rawTarget !== undefined && rawTarget.trim() !== ''
+                ? parseInt(rawTarget, 10)
+                : defaultRepetitions;
+
+            if (!Number.isInteger(target) || target < 1 || target > CONFIG.queue.maxRepetitions) {
+                errors.push(`Línea ${index + 1}: las repeticiones deben estar entre 1 y ${CONFIG.queue.maxRepetitions}`);
+                return;
+            }
+
+            if (seen.has(validation.name)) {
+                errors.push(`Línea ${index + 1}: "${validation.name}" está repetida`);
+                return;
+            }
+
+            // Con colisión en modo error, avisar ya al cargar la lista y no al exportar
+            const slugKey = validation.slug.toLowerCase();
+            if (CONFIG.files.slug.collision === 'error' && slugs.has(slugKey)) {
+                errors.push(`Línea ${index + 1}: "${validation.name}" y "${slugs.get(slugKey)}" generan la misma carpeta (${validation.slug})`);
+                return;
+            }
+
+            seen.add(validation.name);
+            slugs.set(slugKey, validation.name);
+            signs.push({ name: validation.name, target, recorded: 0 });
+        });
+
+        if (signs.length > CONFIG.queue.maxSigns) {
+            errors.push(`La lista no puede tener más de ${CONFIG.queue.maxSigns} señas`);
+        }
+
+        return { signs, errors };
+    },
+
+    /**
+     * Activa el modo vocabulario con una lista de señas
+     * @param {Array} signs - Señas ({ name, target, recorded })
+     */
+    start(signs) {
+        AppState.queue.isActive = true;
+        AppState.queue.signs = signs;
+        AppState.queue.index = 0;
+        AppState.queue.isComplete = false;
+        AppState.queue.archive = {};
+
+        Utils.log(`Modo vocabulario iniciado con ${signs.length} señas`);
+    },
+
+    /**
+     * Restaura el modo vocabulario desde una sesión guardada
+     * @param {Object} state - Estado guardado ({ signs, index })
+     */
+    restore(state) {
+        this.start(state.signs.map(sign => ({ ...sign })));
+        AppState.queue.index = Math.min(state.index, state.signs.length - 1);
+        AppState.queue.isComplete = state.signs.every(sign => sign.recorded >= sign.target);
+    },
+
+    /**
+     * Desactiva el modo vocabulario
+     */
+    reset() {
+        AppState.queue.isActive = false;
+        AppState.queue.signs = [];
+        AppState.queue.index = 0;
+        AppState.queue.isComplete = false;
+        AppState.queue.archive = {};
+        UIController.updateQueueProgress();
+    },
+
+    /**
+     * Estado serializable para la sesión guardada
+     * @returns {Object|null} Lista e índice actual, o null fuera del modo vocabulario
+     */
+    getState() {
+        if (!AppState.queue.isActive) return null;
+
+        return {
+            signs: AppState.queue.signs.map(sign => ({ ...sign })),
+            index: AppState.queue.index
+        };
+    },
+
+    /**
+     * Copia el contador de la seña actual a la lista
+     */
+    syncCurrent() {
+        if (!AppState.queue.isActive) return;
+
+        const current = AppState.queue.signs[AppState.queue.index];
+        current.recorded = AppState.recording.data.length;
+        AppState.queue.isComplete = AppState.queue.signs.every(sign => sign.recorded >= sign.target);
+        UIController.updateQueueProgress();
+    },
+
+    /**
+     * Avanza a la siguiente seña si la actual alcanzó sus repeticiones
+     */
+    async onRecordingFinished() {
+        if (!AppState.queue.isActive) return;
+
+        this.syncCurrent();
+
+        const current = AppState.queue.signs[AppState.queue.index];
+        if (current.recorded >= current.target) {
+            await this.advance();
+        }
+    },
+
+    /**
+     * Pasa a la siguiente seña pendiente, volviendo al principio si hace falta
+     * @param {boolean} skipCurrent - Saltar la seña actual aunque esté pendiente
+     */
+    async advance(skipCurrent = false) {
+        const { signs, index } = AppState.queue;
+
+        let nextIndex = -1;
+        for (let offset = 1; offset <= signs.length; offset++) {
+            const candidate = (index + offset) % signs.length;
+            if (candidate === index && skipCurrent) continue;
+            if (signs[candidate].recorded < signs[candidate].target) {
+                nextIndex = candidate;
+                break;
+            }
+        }
+
+        if (nextIndex === -1) {
+            AppState.queue.isComplete = true;
+            UIController.updateQueueProgress();
+            UIController.resetButtonStates();
+            UIController.updateStatus('🎉 Lista de vocabulario completada. Ya puedes descargar el ZIP', 'idle');
+            await StorageController.saveCurrentSession();
+            Utils.log('Lista de vocabulario completada');
+            return;
+        }
+
+        if (nextIndex === index) {
+            Utils.log('No hay otra seña pendiente a la que saltar');
+            return;
+        }
+
+        await this.loadSign(nextIndex);
+        UIController.updateStatus(`➡️ Siguiente seña: ${signs[nextIndex].name}`, 'idle');
+    },
+
+    /**
+     * Carga una seña de la lista como seña actual
+     * @param {number} index - Posición en la lista
+     */
+    async loadSign(index) {
+        const sign = AppState.queue.signs[index];
+
+        // Sin IndexedDB las grabaciones de la seña anterior solo quedan en memoria
+        if (!AppState.storage.isAvailable && AppState.app.currentSignName) {
+            AppState.queue.archive[AppState.app.currentSignName] = AppState.recording.data;
+        }
+
+        let recordings = AppState.queue.archive[sign.name] || [];
+        try {
+            const stored = await StorageController.getRecordings(sign.name);
+            if (stored.length > 0) {
+                recordings = stored;
+            }
+        } catch (error) {
+            Utils.log('Error al leer la base de datos local', error);
+        }
+
+        AppState.queue.index = index;
+        AppState.app.currentSignName = sign.name;
+        AppState.recording.data = recordings;
+        AppState.recording.counter = recordings.reduce((max, rec) => Math.max(max, rec.recordingNumber), 0);
+
+        UIController.updateSignName(sign.name);
+        UIController.updateRecordingCounter();
+        ReviewController.render();
+        this.syncCurrent();
+        UIController.resetButtonStates();
+
+        await StorageController.saveCurrentSession();
+        Utils.log(`Seña actual: ${sign.name} (${index + 1}/${AppState.queue.signs.length})`);
+    }
+};
+
+// =================================================================
+// GESTIÓN DE EXPORTACIÓN
+// =================================================================
+
+/**
+ * Controlador de exportación
+ */
+const ExportController = {
+    /**
+     * Genera y descarga el archivo ZIP
+     */
+    async generateZip() {
+        if (!this.hasRecordings()) {
+            Utils.showError('No hay grabaciones para descargar');
+            return;
+        }
+
+        if (AppState.app.isProcessing) {
+            Utils.log('Ya se está procesando un ZIP');
+            return;
+        }
+
+        // Una carpeta por seña: solo la actual o todas las de la lista de vocabulario
+        const signNames = AppState.queue.isActive
+            ? AppState.queue.signs.map(sign => sign.name)
+            : [AppState.app.currentSignName];
+
+        let slugs;
+        try {
+            slugs = this.getSignSlugs(signNames);
+        } catch (error) {
+            Utils.showError(error.message);
+            return;
+        }
+
+        const fileName = Utils.generateFileName(
+            AppState.queue.isActive ? CONFIG.queue.zipBaseName : slugs.get(AppState.app.currentSignName)
+        );
+
+        // El selector de archivo debe abrirse mientras dura el gesto del usuario
+        AppState.app.isProcessing = true;
+        const output = await this.openOutput(fileName);
+        if (!output) {
+            AppState.app.isProcessing = false;
+            return;
+        }
+
+        UIController.updateStatus('📦 Generando archivo ZIP...', 'idle');
+
+        try {
+            Utils.log('Iniciando generación de ZIP');
+            
+            // Verificar que JSZip esté disponible
+            if (typeof JSZip === 'undefined') {
+                throw new Error('JSZip no está cargado. Verifica la conexión a internet.');
+            }
+            
+            // Verificar que saveAs esté disponible
+            if (typeof saveAs === 'undefined') {
+                throw new Error('FileSaver no está cargado. Verifica la conexión a internet.');
+            }
+            
+            const zip = new JSZip();
+
+            const groups = [];
+            for (const signName of signNames) {
+                const recordings = await this.getRecordings(signName);
+                if (recordings.length > 0) {
+                    groups.push({ signName, recordings });
+                }
+            }
+
+            if (output.type === 'download' && !this.confirmInMemoryExport(groups)) {
+                UIController.updateStatus('Exportación cancelada', 'idle');
+                return;
+            }
+
+            // Con la división activada, cada toma va a train/, val/ o test/
+            const split = CONFIG.split.enabled ? this.assignSplits(groups) : null;
+
+            let totalFrames = 0;
+            for (let s = 0; s < groups.length; s++) {
+                const { signName, recordings } = groups[s];
+                const signSlug = slugs.get(signName);
+                const splitNames = split ? CONFIG.split.names : [null];
+
+                for (const splitName of splitNames) {
+                    const splitRecordings = split
+                        ? recordings.filter(recording => split.bySign.get(recording) === splitName)
+                        : recordings;
+
+                    if (splitRecordings.length === 0) {
+                        continue;
+                    }
+
+                    const signFolder = splitName ? zip.folder(splitName).folder(signSlug) : zip.folder(signSlug);
+
+                    if (!signFolder) {
+                        throw new Error('No se pudo crear la carpeta principal del ZIP');
+                    }
+
+                    // Procesar cada grabación
+                    const manifestEntries = [];
+                    for (let i = 0; i < splitRecordings.length; i++) {
+                        const recording = splitRecordings[i];
+                        const signInfo = signNames.length > 1 ? `${signName} (${s + 1}/${groups.length}): ` : '';
+                        const splitInfo = splitName ? `[${splitName}] ` : '';
+                        UIController.updateStatus(`📁 ${signInfo}${splitInfo}Procesando grabación ${i + 1} de ${splitRecordings.length}...`, 'idle');
+                        
+                        const result = await this.addRecordingToZip(signFolder, recording, signSlug);
+                        totalFrames += recording.frames.length;
+
+                        if (result) {
+                            const entry = this.buildRecordingMetadata(recording, result);
+                            if (splitName) {
+                                entry.split = splitName;
+                                split.assignments.push({
+                                    sign: signName,
+                                    signSlug,
+                                    recordingNumber: recording.recordingNumber,
+                                    signerId: recording.signer ? recording.signer.id : null,
+                                    split: splitName,
+                                    path: `${splitName}/${signSlug}/${result.folderName}`
+                                });
+                            }
+                            manifestEntries.push(entry);
+                        }
+                        
+                        // Pequeña pausa para no bloquear la UI
+                        await new Promise(resolve => setTimeout(resolve, 10));
+                    }
+
+                    this.addManifest(signFolder, signName, manifestEntries, signSlug);
+                }
+            }
+
+            if (split) {
+                zip.file('split.json', JSON.stringify({
+                    version: 1,
+                    seed: CONFIG.split.seed,
+                    ratios: CONFIG.split.ratios,
+                    bySigner: CONFIG.split.bySigner,
+                    signers: split.signers,
+                    warnings: split.warnings,
+                    assignments: split.assignments
+                }, null, 2));
+            }
+
+            const warnings = split ? split.warnings.map(warning => `división desequilibrada: ${warning}`) : [];
+            if (!(await this.addChecksums(zip))) {
+                warnings.push(`sin ${CONFIG.files.checksumsFile} (este navegador no puede calcular SHA-256)`);
+            }
+
+            // Generar ZIP
+            UIController.updateStatus('📁 Comprimiendo archivos...', 'idle');
+            Utils.log(`Generando ZIP con ${totalFrames} frames en total`);
+            
+            const size = await this.streamZip(zip, output);
+
+            if (size === 0) {
+                throw new Error('El archivo ZIP generado está vacío');
+            }
+
+            if (output.type === 'file') {
+                await output.writable.close();
+            } else {
+                saveAs(new Blob(output.chunks, { type: 'application/zip' }), fileName);
+                output.chunks.length = 0;
+            }
+
+            Utils.log(`ZIP guardado: ${fileName} (${(size / 1024 / 1024).toFixed(2)} MB)`);
+            this.rememberSignSlugs(slugs);
+            if (warnings.length > 0) {
+                UIController.updateStatus(`⚠️ ZIP descargado: ${fileName}, ${warnings.join('; ')}`, 'error');
+            } else {
+                UIController.updateStatus(`✅ ZIP descargado: ${fileName}`, 'idle');
+            }
+            Utils.log(`ZIP generado exitosamente: ${fileName}`);
+
+        } catch (error) {
+            Utils.log('Error al generar ZIP', error);
+            UIController.updateStatus('❌ Error al generar ZIP', 'error');
+
+            if (output.type === 'file') {
+                output.writable.abort().catch(() => {});
+            }
+            
+            // Mostrar error más específico
+            let errorMessage = 'Error al generar el archivo ZIP';
+            if (error.message.includes('JSZip')) {
+                errorMessage = 'Error: JSZip no está disponible. Recarga la página.';
+            } else if (error.message.includes('FileSaver')) {
+                errorMessage = 'Error: FileSaver no está disponible. Recarga la página.';
+            } else if (error.message.includes('base64')) {
+                errorMessage = 'Error: Datos de imagen corruptos. Intenta grabar nuevamente.';
+            } else if (error.name === 'QuotaExceededError') {
+                errorMessage = 'Error: No hay suficiente espacio en memoria. Reduce el número de grabaciones.';
+            }
+            
+            Utils.showError(errorMessage);
+        } finally {
+            AppState.app.isProcessing = false;
+        }
+    },
+
+    /**
+     * Abre el destino del ZIP: un archivo elegido por el usuario si el navegador
+     * lo permite, o un buffer de fragmentos que se descarga al terminar
+     * @param {string} fileName - Nombre sugerido
+     * @returns {Promise<Object|null>} Destino, o null si el usuario cancela
+     */
+    async openOutput(fileName) {
+        if (typeof window.showSaveFilePicker === 'function') {
+            try {
+                const handle = await window.showSaveFilePicker({
+                    suggestedName: fileName,
+                    types: [{ description: 'Archivo ZIP', accept: { 'application/zip': ['.zip'] } }]
+                });
+                return { type: 'file', writable: await handle.createWritable() };
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    Utils.log('Guardado cancelado por el usuario');
+                    return null;
+                }
+                Utils.log('No se pudo abrir el selector de archivos, se usará la descarga', error);
+            }
+        }
+
+        return { type: 'download', chunks: [] };
+    },
+
+    /**
+     * Sin showSaveFilePicker (Firefox, Safari) el ZIP entero se guarda en memoria hasta
+     * la descarga: con exportaciones grandes se pide confirmación antes de empezar
+     * @param {Array} groups - [{ signName, recordings }]
+     * @returns {boolean} True si se puede continuar
+     */
+    confirmInMemoryExport(groups) {
+        const size = groups.reduce((total, group) => total + group.recordings.reduce((sum, recording) =>
+            sum + recording.frames.reduce((bytes, frame) => bytes + (frame.data ? frame.data.size : 0), 0) +
+            (recording.clip ? recording.clip.size : 0), 0), 0);
+
+        if (size < CONFIG.files.downloadWarningSize) return true;
+
+        const megabytes = Math.round(size / 1024 / 1024);
+        Utils.log(`Exportación en memoria de unos ${megabytes} MB`);
+        return confirm(`El ZIP ocupará unos ${megabytes} MB y este navegador debe guardarlo entero en memoria ` +
+                       'antes de descargarlo, lo que puede bloquear o cerrar la pestaña.\n\n' +
+                       'Para exportar sin ese límite usa Chrome o Edge, o exporta menos señas cada vez. ¿Continuar?');
+    },
+
+    /**
+     * Comprime el ZIP por fragmentos y los vuelca en el destino sin
+     * construir el archivo completo en memoria cuando se escribe a disco
+     * @param {JSZip} zip - Archivo a generar
+     * @param {Object} output - Destino devuelto por openOutput
+     * @returns {Promise<number>} Bytes escritos
+     */
+    streamZip(zip, output) {
+        return new Promise((resolve, reject) => {
+            let size = 0;
+            let lastPercent = -1;
+            let pending = Promise.resolve();
+
+            const stream = zip.generateInternalStream({
+                type: 'uint8array',
+                streamFiles: true,
+                compression: 'DEFLATE',
+                compressionOptions: {
+                    level: 6
+                }
+            });
+
+            stream.on('data', (chunk, metadata) => {
+                size += chunk.length;
+
+                const percent = Math.floor(metadata.percent);
+                if (percent !== lastPercent) {
+                    lastPercent = percent;
+                    UIController.updateStatus(`📁 Comprimiendo archivos... ${percent}%`, 'idle');
+                }
+
+                if (output.type === 'file') {
+                    // Pausar mientras el disco no acepte el fragmento
+                    stream.pause();
+                    pending = output.writable.write(chunk).then(() => stream.resume());
+                    pending.catch(error => {
+                        stream.pause();
+                        reject(error);
+                    });
+                } else {
+                    output.chunks.push(chunk);
+                }
+            });
+
+            stream.on('error', reject);
+            stream.on('end', () => pending.then(() => resolve(size), reject));
+            stream.resume();
+        });
+    },
+
+    /**
+     * Escribe en la raíz un checksums.sha256 (formato de sha256sum) con el hash de
+     * cada archivo del ZIP, para detectar archivos truncados o dañados al verificar
+     * @param {JSZip} zip - ZIP en construcción
+     * @returns {Promise<boolean>} False si no se pudieron calcular
+     */
+    async addChecksums(zip) {
+        const entries = [];
+        zip.forEach((path, entry) => {
+            if (!entry.dir) entries.push(entry);
+        });
+
+        try {
+            const lines = [];
+            for (let i = 0; i < entries.length; i++) {
+                if (i % 50 === 0) {
+                    UIController.updateStatus(`🔐 Calculando checksums (${i + 1} de ${entries.length})...`, 'idle');
+                }
+                const hash = await Utils.sha256(await entries[i].async('arraybuffer'));
+                lines.push(`${hash}  ${entries[i].name}`);
+            }
+
+            zip.file(CONFIG.files.checksumsFile, lines.join('\n') + '\n');
+            Utils.log(`Checksums añadidos al ZIP (${lines.length} archivos)`);
+            return true;
+        } catch (error) {
+            // Sin crypto.subtle se exporta igualmente, pero sin checksums y avisando
+            Utils.log('No se pudieron calcular los checksums', error);
+            return false;
+        }
+    },
+
+    /**
+     * Reparte las grabaciones en train/val/test con una semilla fija. Por defecto se
+     * reparte dentro de cada seña; con bySigner se reparten los signantes enteros para
+     * que ninguno aparezca en dos divisiones.
+     *
+     * El total de cada división se calcula sobre todas las tomas juntas (resto mayor),
+     * no seña a seña: con pocas tomas por seña redondear cada una por separado dejaba
+     * val y test vacíos.
+     * @param {Array} groups - [{ signName, recordings }]
+     * @returns {Object} bySign (Map grabación → división), signers (id → división),
+     *                   assignments y warnings (divisiones vacías o lejos de su proporción)
+     */
+    assignSplits(groups) {
+        const { names, ratios, seed, bySigner } = CONFIG.split;
+        const random = Utils.createRandom(seed);
+        const bySign = new Map();
+        const signers = {};
+
+        // Estratos (señas, o un único grupo de signantes) barajados por dentro
+        const strata = bySigner
+            ? [Utils.shuffle([...new Set(groups.flatMap(group => group.recordings.map(this.getSplitSignerId)))].sort(), random)]
+            : groups.map(group => Utils.shuffle(
+                [...group.recordings].sort((a, b) => a.recordingNumber - b.recordingNumber), random));
+        const total = strata.reduce((sum, units) => sum + units.length, 0);
+
+        // Cupos por resto mayor sobre el total (el margen evita que 20 × 0.7 dé 13.999...)
+        const exact = Object.fromEntries(names.map(name => [name, total * ratios[name] + 1e-9]));
+        const quotas = Object.fromEntries(names.map(name => [name, Math.floor(exact[name])]));
+        const leftover = total - names.reduce((sum, name) => sum + quotas[name], 0);
+        [...names]
+            .sort((a, b) => exact[b] % 1 - exact[a] % 1)
+            .slice(0, leftover)
+            .forEach(name => quotas[name]++);
+
+        // Cada unidad va a la división más atrasada respecto a su proporción que aún
+        // tenga cupo; así cada seña queda repartida y los totales cuadran con los cupos
+        const assigned = Object.fromEntries(names.map(name => [name, 0]));
+        const assignments = new Map();
+        let count = 0;
+        strata.forEach(units => units.forEach(unit => {
+            count++;
+            const name = names
+                .filter(candidate => assigned[candidate] < quotas[candidate])
+                .reduce((best, candidate) => (count * ratios[candidate] - assigned[candidate] >
+                                              count * ratios[best] - assigned[best] ? candidate : best));
+            assigned[name]++;
+            assignments.set(unit, name);
+        }));
+
+        if (bySigner) {
+            assignments.forEach((name, id) => {
+                signers[id] = name;
+            });
+            groups.forEach(group => group.recordings.forEach(recording => {
+                bySign.set(recording, signers[this.getSplitSignerId(recording)]);
+            }));
+        } else {
+            assignments.forEach((name, recording) => bySign.set(recording, name));
+        }
+
+        const warnings = this.checkSplitBalance(bySign, bySigner ? Object.keys(signers).length : null);
+        warnings.forEach(warning => Utils.log(`⚠️ ${warning}`));
+
+        Utils.log(`División ${bySigner ? 'por signante' : 'por seña'} con semilla ${seed}`, assigned);
+        return { bySign, signers: bySigner ? signers : null, assignments: [], warnings };
+    },
+
+    /**
+     * Signante con el que se reparte una toma; las tomas sin signante forman un grupo propio
+     * @param {Object} recording - Grabación
+     * @returns {string} Identificador
+     */
+    getSplitSignerId(recording) {
+        return recording.signer ? recording.signer.id : CONFIG.signers.noSignerId;
+    },
+
+    /**
+     * Avisa de divisiones vacías o cuya proporción real se aleja de la configurada
+     * @param {Map} bySign - Grabación → división
+     * @param {number|null} signerCount - Número de signantes si se reparte por signante
+     * @returns {Array<string>} Avisos
+     */
+    checkSplitBalance(bySign, signerCount) {
+        const { names, ratios, maxDeviation } = CONFIG.split;
+        const total = bySign.size;
+        const warnings = [];
+        if (total === 0) return warnings;
+
+        names.forEach(name => {
+            if (ratios[name] <= 0) return;
+
+            const count = [...bySign.values()].filter(split => split === name).length;
+            if (count === 0) {
+                warnings.push(signerCount !== null
+                    ? `"${name}" queda vacía: hay ${signerCount} signantes para ${names.length} divisiones`
+                    : `"${name}" queda vacía: hay pocas grabaciones para repartir`);
+            } else if (Math.abs(count / total - ratios[name]) > maxDeviation) {
+                warnings.push(`"${name}" tiene el ${Math.round(count / total * 100)}% de las grabaciones ` +
+                              `(configurado: ${Math.round(ratios[name] * 100)}%)`);
+            }
+        });
+
+        return warnings;
+    },
+
+    /**
+     * Slug de la carpeta de cada seña. Si dos nombres dan el mismo slug (sin distinguir
+     * mayúsculas, como en Windows y macOS) se añade _2, _3... o se aborta según
+     * CONFIG.files.slug.collision
+     * @param {Array<string>} signNames - Nombres visibles
+     * @returns {Map<string, string>} Nombre → slug
+     */
+    getSignSlugs(signNames) {
+        const slugs = new Map();
+        const used = new Map();
+
+        signNames.forEach(name => {
+            const base = Utils.slugify(name);
+            let slug = base;
+
+            for (let n = 2; used.has(slug.toLowerCase()); n++) {
+                if (CONFIG.files.slug.collision === 'error') {
+                    throw new Error(`"${name}" y "${used.get(slug.toLowerCase())}" generan la misma carpeta (${base}). ` +
+                                    'Cambia uno de los nombres o permite sufijos en los ajustes');
+                }
+                slug = `${base}_${n}`;
+            }
+
+            used.set(slug.toLowerCase(), name);
+            slugs.set(name, slug);
+        });
+
+        return slugs;
+    },
+
+    /**
+     * Guarda los slugs con sufijo (hola_2) para encontrar sus carpetas al importar un ZIP
+     * sin manifiesto, donde el nombre visible ya no basta
+     * @param {Map<string, string>} slugs - Nombre → slug de la exportación
+     */
+    rememberSignSlugs(slugs) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CONFIG.files.slug.storageKey) || '{}');
+            slugs.forEach((slug, name) => {
+                if (slug === Utils.slugify(name)) {
+                    delete saved[name];
+                } else {
+                    saved[name] = slug;
+                }
+            });
+            localStorage.setItem(CONFIG.files.slug.storageKey, JSON.stringify(saved));
+        } catch (error) {
+            Utils.log('No se pudieron guardar los slugs de la exportación', error);
+        }
+    },
+
+    /**
+     * Slug con el que se exportó una seña la última vez
+     * @param {string} signName - Nombre visible
+     * @returns {string|null} Slug guardado o null si no tenía sufijo
+     */
+    getRememberedSlug(signName) {
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG.files.slug.storageKey) || '{}')[signName] || null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Indica si hay alguna grabación que exportar
+     * @returns {boolean} True si hay grabaciones de la seña actual o de la lista
+     */
+    hasRecordings() {
+        if (AppState.recording.data.length > 0) return true;
+        return AppState.queue.isActive && AppState.queue.signs.some(sign => sign.recorded > 0);
+    },
+
+    /**
+     * Obtiene las grabaciones de una seña, priorizando la base de datos local
+     * @param {string} signName - Nombre de la seña
+     * @returns {Promise<Array>} Grabaciones ordenadas por número
+     */
+    async getRecordings(signName) {
+        const inMemory = signName === AppState.app.currentSignName
+            ? AppState.recording.data
+            : AppState.queue.archive[signName] || [];
+
+        try {
+            const stored = await StorageController.getRecordings(signName);
+            // Si alguna grabación no llegó a guardarse, los datos en memoria están más completos
+            if (stored.length > 0 && stored.length >= inMemory.length) {
+                Utils.log(`Exportando ${stored.length} grabaciones de "${signName}" desde la base de datos local`);
+                return stored;
+            }
+        } catch (error) {
+            Utils.log('Error al leer la base de datos local, se usan los datos en memoria', error);
+        }
+
+        return inMemory;
+    },
+
+    /**
+     * Calcula los metadatos de una grabación exportada
+     * @param {Object} recording - Datos de grabación
+     * @param {Object} result - Resultado de addRecordingToZip
+     * @returns {Object} Entrada del manifiesto
+     */
+    buildRecordingMetadata(recording, result) {
+        // Las grabaciones antiguas no guardaban sus parámetros: usar la configuración actual
+        const settings = recording.settings || {
+            width: CONFIG.recording.width,
+            height: CONFIG.recording.height,
+            format: CONFIG.recording.format,
+            quality: CONFIG.recording.quality,
+            targetFrames: CONFIG.recording.targetFrames,
+            duration: CONFIG.recording.duration
+        };
+
+        const frames = result.frames;
+        const spanMs = frames.length > 1
+            ? frames[frames.length - 1].timestampMs - frames[0].timestampMs
+            : 0;
+        const elapsedMs = recording.endTime && recording.startTime
+            ? recording.endTime - recording.startTime
+            : spanMs;
+
+        return {
+            folder: result.folderName,
+            clip: result.clip || null,
+            signer: recording.signer || null,
+            recordingNumber: recording.recordingNumber,
+            capturedAt: recording.timestamp || null,
+            source: recording.source || { type: 'camera' },
+            resolution: { width: settings.width, height: settings.height },
+            sourceResolution: settings.sourceWidth
+                ? { width: settings.sourceWidth, height: settings.sourceHeight }
+                : null,
+            fitMode: settings.fitMode || null,
+            roi: settings.roi || null,
+            camera: settings.camera || null,
+            format: settings.encodedFormat || settings.format,
+            requestedFormat: settings.format,
+            quality: settings.quality,
+            lossless: (settings.encodedFormat || settings.format) === 'image/png',
+            targetFrames: settings.targetFrames,
+            targetDurationMs: settings.duration,
+            frameCount: frames.length,
+            preRollFrames: recording.preRollFrames || 0,
+            skippedFrames: result.skippedFrames,
+            durationMs: spanMs,
+            elapsedMs,
+            effectiveFps: spanMs > 0 ? Number(((frames.length - 1) / (spanMs / 1000)).toFixed(3)) : 0,
+            timing: recording.timing || null,
+            sampling: recording.sampling || { mode: 'live' },
+            trigger: recording.trigger || 'button',
+            lengthMode: recording.lengthMode || 'fixed',
+            captureDurationMs: recording.captureDurationMs ?? settings.duration,
+            normalization: result.normalization || null,
+            originalTimestampsMs: recording.originalTimestamps || null,
+            qualityCheck: recording.qualityCheck
+                ? {
+                    label: recording.qualityCheck.label,
+                    reasons: recording.qualityCheck.reasons,
+                    ...recording.qualityCheck.summary
+                }
+                : null,
+            frames
+        };
+    },
+
+    /**
+     * Escribe manifest.json y recordings.csv en la raíz de la carpeta de la seña
+     * @param {Object} signFolder - Carpeta del ZIP
+     * @param {string} signName - Nombre visible de la seña
+     * @param {Array} entries - Metadatos de cada grabación
+     * @param {string} signSlug - Nombre de la carpeta de la seña
+     */
+    addManifest(signFolder, signName, entries, signSlug = Utils.slugify(signName)) {
+        const manifest = {
+            version: 1,
+            signName,
+            signSlug,
+            exportedAt: new Date().toISOString(),
+            recordingCount: entries.length,
+            totalFrames: entries.reduce((sum, entry) => sum + entry.frameCount, 0),
+            signerLayout: CONFIG.files.signerLayout,
+            signers: entries
+                .map(entry => entry.signer)
+                .filter((signer, index, all) => signer && all.findIndex(other => other && other.id === signer.id) === index),
+            recordings: entries
+        };
+
+        signFolder.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+        const header = [
+            'sign', 'sign_slug', 'recording', 'signer_id', 'dominant_hand', 'folder', 'clip', 'captured_at', 'source', 'width', 'height', 'roi',
+            'format', 'quality', 'frame_count', 'pre_roll_frames', 'skipped_frames',
+            'duration_ms', 'elapsed_ms', 'length_mode', 'capture_duration_ms',
+            'effective_fps', 'capture_method', 'unique_frames', 'duplicate_frames',
+            'dropped_frames', 'achieved_fps', 'quality_label', 'quality_reasons',
+            'sharpness', 'brightness', 'motion', 'files', 'timestamps_ms'
+        ];
+
+        // Las listas por frame van separadas por ';' dentro de una sola columna
+        const rows = entries.map(entry => [
+            signName,
+            signSlug,
+            entry.recordingNumber,
+            entry.signer ? entry.signer.id : '',
+            entry.signer ? entry.signer.dominantHand : '',
+            entry.folder,
+            entry.clip || '',
+            entry.capturedAt || '',
+            entry.source.fileName || entry.source.type,
+            entry.resolution.width,
+            entry.resolution.height,
+            entry.roi ? [entry.roi.x, entry.roi.y, entry.roi.width, entry.roi.height].join(';') : '',
+            entry.format,
+            entry.quality,
+            entry.frameCount,
+            entry.preRollFrames,
+            entry.skippedFrames.join(';'),
+            entry.durationMs,
+            entry.elapsedMs,
+            entry.lengthMode,
+            entry.captureDurationMs,
+            entry.effectiveFps,
+            entry.timing ? entry.timing.method : '',
+            entry.timing ? entry.timing.uniqueFrames : '',
+            entry.timing ? entry.timing.duplicateFrames : '',
+            entry.timing ? entry.timing.droppedFrames : '',
+            entry.timing ? entry.timing.achievedFps : '',
+            entry.qualityCheck ? entry.qualityCheck.label : '',
+            entry.qualityCheck ? entry.qualityCheck.reasons.join(';') : '',
+            entry.qualityCheck ? entry.qualityCheck.sharpness ?? '' : '',
+            entry.qualityCheck ? entry.qualityCheck.brightness ?? '' : '',
+            entry.qualityCheck ? entry.qualityCheck.motion ?? '' : '',
+            entry.frames.map(frame => frame.file).join(';'),
+            entry.frames.map(frame => frame.timestampMs).join(';')
+        ]);
+
+        const csv = [header, ...rows].map(row => Utils.toCsvRow(row)).join('\r\n');
+        signFolder.file('recordings.csv', csv + '\r\n');
+
+        Utils.log(`Manifiesto añadido al ZIP (${entries.length} grabaciones)`);
+    },
+
+    /**
+     * Frames que se escriben en el ZIP. Con normalizeOnExport, cada toma se reduce o
+     * amplía a targetFrames eligiendo el frame más cercano a instantes uniformes
+     * entre el primero y el último (sin volver a codificar).
+     * @param {Object} recording - Grabación
+     * @returns {Object} frames [{ frame, index }] y datos de la normalización (o null)
+     */
+    getExportFrames(recording) {
+        const indexed = recording.frames.map((frame, index) => ({ frame, index }));
+        const target = CONFIG.recording.targetFrames;
+
+        if (!CONFIG.recording.normalizeOnExport) {
+            return { frames: indexed, normalization: null };
+        }
+
+        const valid = indexed.filter(({ frame }) => frame && frame.data);
+        if (valid.length === 0 || valid.length === target) {
+            return { frames: indexed, normalization: null };
+        }
+
+        // Los duplicados comparten timestamp real: se usa la posición ideal de cada frame
+        const timeOf = ({ frame }) => frame.targetTimestamp ?? frame.timestamp;
+        const first = timeOf(valid[0]);
+        const last = timeOf(valid[valid.length - 1]);
+        const frames = [];
+        let j = 0;
+
+        for (let k = 0; k < target; k++) {
+            const t = target > 1 ? first + k * (last - first) / (target - 1) : first;
+            while (j + 1 < valid.length && Math.abs(timeOf(valid[j + 1]) - t) <= Math.abs(timeOf(valid[j]) - t)) {
+                j++;
+            }
+            frames.push(valid[j]);
+        }
+
+        return {
+            frames,
+            normalization: { targetFrames: target, sourceFrameCount: valid.length }
+        };
+    },
+
+    /**
+     * Valores de los tokens de las plantillas para una grabación
+     * @param {Object} recording - Grabación
+     * @param {string} signSlug - Slug de la seña ({sign})
+     * @returns {Object} sign, signer, take, date y time
+     */
+    getNamingValues(recording, signSlug = Utils.slugify(recording.signName)) {
+        return {
+            sign: signSlug,
+            signer: recording.signer ? recording.signer.id : CONFIG.signers.noSignerId,
+            take: Utils.padNumber(recording.recordingNumber),
+            ...Utils.getDateTokens(new Date(recording.timestamp || Date.now()))
+        };
+    },
+
+    /**
+     * Dónde va cada toma dentro de la carpeta de la seña. El nombre sale de la plantilla
+     * de grabaciones y CONFIG.files.signerLayout añade el signante:
+     * folder → S01/seña_001, prefix → S01_seña_001, none (o sin signante) → seña_001
+     * @param {Object} signFolder - Carpeta de la seña en el ZIP
+     * @param {Object} recording - Grabación
+     * @param {string} signSlug - Slug de la seña
+     * @returns {Object} Carpeta contenedora, nombre de la toma y ruta relativa a la seña
+     */
+    getRecordingLocation(signFolder, recording, signSlug) {
+        const baseName = Utils.renderTemplate(CONFIG.files.templates.recording, this.getNamingValues(recording, signSlug));
+        const signerId = recording.signer ? recording.signer.id : null;
+
+        if (signerId && CONFIG.files.signerLayout === 'folder') {
+            return { parent: signFolder.folder(signerId), name: baseName, path: `${signerId}/${baseName}` };
+        }
+
+        if (signerId && CONFIG.files.signerLayout === 'prefix') {
+            const name = `${signerId}_${baseName}`;
+            return { parent: signFolder, name, path: name };
+        }
+
+        return { parent: signFolder, name: baseName, path: baseName };
+    },
+
+    /**
+     * Añade una grabación al ZIP
+     * @param {Object} signFolder - Carpeta del ZIP
+     * @param {Object} recording - Datos de grabación
+     * @param {string} signSlug - Slug de la seña
+     * @returns {Object|undefined} Carpeta, frames escritos y frames omitidos
+     */
+    async addRecordingToZip(signFolder, recording, signSlug = Utils.slugify(recording.signName)) {
+        try {
+            // Validar datos de grabación
+            if (!recording || !recording.frames || !Array.isArray(recording.frames)) {
+                throw new Error(`Datos de grabación inválidos para grabación ${recording?.recordingNumber || 'desconocida'}`);
+            }
+
+            if (recording.frames.length === 0) {
+                Utils.log(`Advertencia: Grabación ${recording.recordingNumber} no tiene frames, se omite`);
+                return undefined;
+            }
+
+            const location = this.getRecordingLocation(signFolder, recording, signSlug);
+            const recordingFolderName = location.name;
+            const recordingFolder = location.parent.folder(recordingFolderName);
+
+            if (!recordingFolder) {
+                throw new Error(`No se pudo crear la carpeta: ${recordingFolderName}`);
+            }
+
+            const writtenFrames = [];
+            const skippedFrames = [];
+            const { frames: exportFrames, normalization } = this.getExportFrames(recording);
+            const namingValues = this.getNamingValues(recording, signSlug);
+
+            // Procesar cada frame
+            for (let i = 0; i < exportFrames.length; i++) {
+                const { frame, index } = exportFrames[i];
+                
+                // Validar frame
+                if (!frame || !frame.data) {
+                    Utils.log(`Advertencia: Frame ${i + 1} de grabación ${recording.recordingNumber} está vacío, se omite`);
+                    skippedFrames.push(i + 1);
+                    continue;
+                }
+
+                // La extensión sale del tipo realmente codificado, no del pedido
+                const mimeType = Utils.getFrameMimeType(frame.data) ||
+                                 recording.settings?.encodedFormat ||
+                                 recording.settings?.format ||
+                                 CONFIG.recording.format;
+                const extension = Utils.getFileExtension(mimeType);
+                const frameName = Utils.renderTemplate(CONFIG.files.templates.frame, {
+                    ...namingValues,
+                    frame: Utils.padNumber(i + 1)
+                });
+                const frameFileName = `${frameName}.${extension}`;
+                
+                try {
+                    if (frame.data instanceof Blob) {
+                        // Los Blobs se añaden tal cual; JSZip los lee al comprimir
+                        if (!frame.data.type.startsWith('image/') || frame.data.size === 0) {
+                            throw new Error(`Frame ${i + 1} no tiene formato de imagen válido`);
+                        }
+                        recordingFolder.file(frameFileName, frame.data);
+                    } else {
+                        // Sesiones antiguas guardadas como dataURL
+                        if (!frame.data.startsWith('data:image/')) {
+                            throw new Error(`Frame ${i + 1} no tiene formato de imagen válido`);
+                        }
+
+                        const base64Data = frame.data.split(',')[1];
+                        if (!base64Data || base64Data.length === 0) {
+                            throw new Error(`Frame ${i + 1} no contiene datos base64 válidos`);
+                        }
+
+                        recordingFolder.file(frameFileName, base64Data, { base64: true });
+                    }
+                    writtenFrames.push({
+                        file: frameFileName,
+                        frameNumber: i + 1,
+                        timestampMs: frame.timestamp,
+                        targetTimestampMs: frame.targetTimestamp ?? null,
+                        mimeType,
+                        duplicate: Boolean(frame.duplicate),
+                        preRoll: Boolean(frame.preRoll),
+                        ...(normalization && { sourceFrameNumber: index + 1 }),
+                        ...(frame.sourceTimestamps && {
+                            sourceTimestampsMs: frame.sourceTimestamps,
+                            blendWeight: frame.blendWeight ?? null
+                        }),
+                        ...recording.qualityCheck?.frames[index]
+                    });
+                    
+                } catch (frameError) {
+                    Utils.log(`Error procesando frame ${i + 1}:`, frameError);
+                    throw new Error(`Error en frame ${i + 1}: ${frameError.message}`);
+                }
+            }
+
+            // El clip WebM va junto a la carpeta de frames: seña_001.webm
+            let clipFileName = null;
+            if (recording.clip instanceof Blob && recording.clip.size > 0) {
+                clipFileName = `${location.path}.webm`;
+                location.parent.file(`${recordingFolderName}.webm`, recording.clip);
+            }
+
+            Utils.log(`Grabación añadida al ZIP: ${recordingFolderName} (${writtenFrames.length} frames${clipFileName ? ' + clip' : ''})`);
+
+            return {
+                folderName: location.path,
+                frames: writtenFrames,
+                skippedFrames,
+                normalization,
+                clip: clipFileName
+            };
             
-            updateCountdown();
+        } catch (error) {
+            Utils.log(`Error añadiendo grabación al ZIP:`, error);
+            throw error;
+        }
+    }
+};
+
+// =================================================================
+// SUBIDA AL SERVIDOR
+// =================================================================
+
+/**
+ * Cola de subidas de cada grabación terminada a CONFIG.upload.url. Cada subida se
+ * divide en trozos (bytes de un ZIP o lotes de frames) y se guarda en IndexedDB con
+ * el último trozo confirmado, para continuar tras un corte de red o una recarga.
+ *
+ * Protocolo: un POST por trozo con las cabeceras X-Upload-Id, X-Upload-Mode,
+ * X-Chunk-Index y X-Chunk-Count (y X-File-Name en modo zip). El servidor debe
+ * aceptar el mismo trozo más de una vez. Con X-Upload-Mode: delete (sin cuerpo)
+ * debe borrar lo recibido con ese identificador. Ver upload-receiver.js.
+ */
+const UploadController = {
+    /**
+     * Recupera las subidas pendientes y reanuda la cola al volver la conexión
+     */
+    async init() {
+        try {
+            const jobs = await StorageController.getUploads();
+            // Una subida cortada a medias se retoma desde su último trozo confirmado
+            jobs.forEach(job => {
+                if (job.status === 'uploading') job.status = 'pending';
+            });
+            // IndexedDB las devuelve por id: se recupera el orden de llegada
+            AppState.upload.jobs = jobs.sort((a, b) => a.createdAt - b.createdAt);
+        } catch (error) {
+            Utils.log('Error al cargar las subidas pendientes', error);
+        }
+
+        window.addEventListener('online', () => {
+            Utils.log('Conexión recuperada, se reanudan las subidas');
+            // Los fallos sin conexión no cuentan como espera: se reintenta ya
+            AppState.upload.jobs.forEach(job => {
+                if (job.status === 'pending') job.retryAt = null;
+            });
+            this.process();
         });
+        window.addEventListener('offline', () => this.render());
+
+        this.process();
+    },
+
+    /**
+     * Añade una grabación terminada a la cola de subida
+     * @param {Object} recording - Grabación
+     * @param {Object|null} replaced - Toma anterior con el mismo número, si es una repetición
+     */
+    async enqueue(recording, replaced = null) {
+        // Una repetición retira la toma anterior, esté en cola o ya en el servidor
+        if (replaced) {
+            await this.withdraw([replaced]);
+        }
+
+        if (!CONFIG.upload.enabled) return;
+
+        try {
+            const job = await this.createJob(recording);
+            if (!job) return;
+
+            await this.dropJobs(job.signName, job.recordingNumber);
+            AppState.upload.jobs.push(job);
+
+            await this.saveJob(job);
+            Utils.log(`Grabación ${recording.recordingNumber} en cola de subida (${job.chunkCount} trozos)`);
+        } catch (error) {
+            Utils.log('Error al preparar la subida de la grabación', error);
+        }
+
+        this.process();
+    },
+
+    /**
+     * Mantiene el servidor al día cuando se elimina una toma: se retiran la toma borrada
+     * y las renumeradas (con su número antiguo) y estas se vuelven a subir con el nuevo,
+     * para que la numeración del servidor coincida con la local
+     * @param {Object} deleted - Grabación eliminada
+     * @param {Array} renumbered - [{ recording, previousNumber }] con el número ya cambiado
+     */
+    async onRecordingDeleted(deleted, renumbered) {
+        await this.withdraw([deleted]);
+        await this.onRecordingsRenumbered(renumbered);
+    },
+
+    /**
+     * Retira las tomas renumeradas con su número antiguo y las vuelve a subir con el nuevo
+     * @param {Array} renumbered - [{ recording, previousNumber }] con el número ya cambiado
+     */
+    async onRecordingsRenumbered(renumbered) {
+        await this.withdraw(renumbered.map(({ recording, previousNumber }) =>
+            ({ ...recording, recordingNumber: previousNumber })));
+
+        for (const { recording } of renumbered) {
+            await this.enqueue(recording);
+        }
+
+        this.process();
+    },
+
+    /**
+     * Retira tomas: descarta sus subidas en cola (o cancela la que está en curso) y, con
+     * la subida activada, pide al servidor que borre lo que ya hubiera recibido
+     * @param {Array} recordings - Grabaciones con el número con el que se subieron
+     */
+    async withdraw(recordings) {
+        for (const recording of recordings) {
+            await this.dropJobs(recording.signName, recording.recordingNumber);
+
+            if (!CONFIG.upload.enabled) continue;
+
+            const targetId = this.getUploadId(recording);
+            const job = {
+                id: `delete_${targetId}`,
+                targetId,
+                signName: recording.signName,
+                recordingNumber: recording.recordingNumber,
+                mode: 'delete',
+                createdAt: Date.now(),
+                status: 'pending',
+                attempts: 0,
+                nextChunk: 0,
+                chunkCount: 1,
+                retryAt: null,
+                lastError: null
+            };
+
+            AppState.upload.jobs = AppState.upload.jobs.filter(other => other.id !== job.id);
+            AppState.upload.jobs.push(job);
+            await this.saveJob(job);
+        }
+    },
+
+    /**
+     * Descarta las subidas de una toma; la que está en curso se cancela tras su trozo actual
+     * @param {string} signName - Nombre de la seña
+     * @param {number} recordingNumber - Número de la toma
+     */
+    async dropJobs(signName, recordingNumber) {
+        const matching = AppState.upload.jobs.filter(job => job.mode !== 'delete' &&
+                                                            job.signName === signName &&
+                                                            job.recordingNumber === recordingNumber);
+
+        for (const job of matching) {
+            if (job.status === 'uploading') {
+                job.cancelled = true;
+                continue;
+            }
+            await StorageController.deleteUpload(job.id).catch(error => {
+                Utils.log('Error al borrar la subida descartada', error);
+            });
+        }
+
+        AppState.upload.jobs = AppState.upload.jobs.filter(job => !matching.includes(job) || job.cancelled);
     },
 
     /**
-     * Captura frames durante la sesión
-     * @param {Object} session - Sesión de grabación
+     * Identificador de la subida de una toma: estable para la misma toma y número
+     * @param {Object} recording - Grabación
+     * @returns {string} Identificador
      */
-    async captureFrames(session) {
-        const frameInterval = Utils.getFrameInterval();
-        let frameCount = 0;
-        
-        return new Promise((resolve, reject) => {
-            const captureFrame = () => {
+    getUploadId(recording) {
+        const capturedAt = Date.parse(recording.timestamp) || 0;
+        return `${Utils.slugify(recording.signName)}_${Utils.padNumber(recording.recordingNumber)}_${capturedAt}`;
+    },
+
+    /**
+     * Prepara el contenido de una subida con el mismo formato que la exportación
+     * @param {Object} recording - Grabación
+     * @returns {Promise<Object|null>} Subida o null si la grabación no tiene frames
+     */
+    async createJob(recording) {
+        const signSlug = Utils.slugify(recording.signName);
+        const zip = new JSZip();
+        const signFolder = zip.folder(signSlug);
+        const result = await ExportController.addRecordingToZip(signFolder, recording, signSlug);
+        if (!result) return null;
+
+        const entry = ExportController.buildRecordingMetadata(recording, result);
+        const job = {
+            id: this.getUploadId(recording),
+            signName: recording.signName,
+            recordingNumber: recording.recordingNumber,
+            mode: CONFIG.upload.mode,
+            createdAt: Date.now(),
+            status: 'pending',
+            attempts: 0,
+            nextChunk: 0,
+            retryAt: null,
+            lastError: null
+        };
+
+        if (job.mode === 'zip') {
+            ExportController.addManifest(signFolder, recording.signName, [entry], signSlug);
+            // Los frames ya van comprimidos: basta con empaquetarlos
+            job.payload = await zip.generateAsync({ type: 'blob', compression: 'STORE' });
+            job.fileName = `${signSlug}_${Utils.padNumber(recording.recordingNumber)}.zip`;
+            job.chunkSize = CONFIG.upload.chunkSize;
+            job.chunkCount = Math.max(1, Math.ceil(job.payload.size / job.chunkSize));
+        } else {
+            const files = [];
+            for (const frame of result.frames) {
+                const path = `${signSlug}/${result.folderName}/${frame.file}`;
+                const data = await zip.file(path).async('blob');
+                files.push({ path, blob: new Blob([data], { type: frame.mimeType }) });
+            }
+            if (result.clip) {
+                files.push({ path: `${signSlug}/${result.clip}`, blob: recording.clip });
+            }
+
+            job.payload = { metadata: { signName: recording.signName, signSlug, ...entry }, files };
+            job.chunkSize = CONFIG.upload.framesPerChunk;
+            job.chunkCount = Math.max(1, Math.ceil(files.length / job.chunkSize));
+        }
+
+        return job;
+    },
+
+    /**
+     * Sube las grabaciones pendientes de una en una. Los fallos de red y los errores
+     * 5xx se reintentan con espera exponencial; sin conexión, se espera al evento online.
+     */
+    async process() {
+        if (AppState.upload.isRunning) return;
+
+        clearTimeout(AppState.upload.timer);
+        AppState.upload.timer = null;
+
+        if (!CONFIG.upload.enabled || !CONFIG.upload.url || !navigator.onLine) {
+            this.render();
+            return;
+        }
+
+        AppState.upload.isRunning = true;
+        try {
+            // Las subidas en espera de reintento se saltan: las demás no tienen por qué esperar
+            const isDue = candidate => candidate.status === 'pending' &&
+                                       (!candidate.retryAt || candidate.retryAt <= Date.now());
+            let job;
+            while ((job = AppState.upload.jobs.find(isDue))) {
                 try {
-                    const elapsed = Date.now() - session.startTime;
-                    
-                    // Verificar si hemos alcanzado exactamente 50 frames
-                    if (frameCount >= CONFIG.recording.targetFrames) {
-                        Utils.log(`Grabación completada: ${frameCount} frames capturados`);
-                        resolve();
-                        return;
+                    await this.uploadJob(job);
+                } catch (error) {
+                    if (job.cancelled) {
+                        AppState.upload.jobs = AppState.upload.jobs.filter(other => other !== job);
+                        await StorageController.deleteUpload(job.id).catch(() => {});
+                        continue;
                     }
-                    
-                    // Si superamos el tiempo límite pero no tenemos 50 frames, continúa hasta completar
-                    if (elapsed >= CONFIG.recording.duration && frameCount < CONFIG.recording.targetFrames) {
-                        Utils.log(`Tiempo límite alcanzado, pero solo ${frameCount} frames. Completando hasta ${CONFIG.recording.targetFrames}...`);
+
+                    job.attempts++;
+                    job.lastError = error.message;
+                    Utils.log(`Error al subir ${job.id} (intento ${job.attempts})`, error);
+
+                    if (!error.retryable || job.attempts > CONFIG.upload.maxRetries) {
+                        job.status = 'failed';
+                        await this.saveJob(job);
+                        continue;
                     }
 
-                    // Capturar frame
-                    const imageData = CameraController.captureFrame();
-                    frameCount++;
+                    job.status = 'pending';
+                    job.retryAt = Date.now() + this.getRetryDelay(job.attempts);
+                    await this.saveJob(job);
+                }
+            }
+        } finally {
+            AppState.upload.isRunning = false;
+            this.scheduleRetry();
+            this.render();
+        }
+    },
 
-                    session.frames.push({
-                        data: imageData,
-                        timestamp: elapsed,
-                        frameNumber: frameCount
-                    });
+    /**
+     * Programa la siguiente vuelta de la cola para el reintento más próximo
+     */
+    scheduleRetry() {
+        clearTimeout(AppState.upload.timer);
+        AppState.upload.timer = null;
 
-                    // Actualizar progreso basado en frames capturados
-                    const progress = (frameCount / CONFIG.recording.targetFrames) * 100;
-                    UIController.updateProgress(progress);
+        const retryTimes = AppState.upload.jobs
+            .filter(job => job.status === 'pending' && job.retryAt)
+            .map(job => job.retryAt);
+        if (retryTimes.length === 0) return;
 
-                    // Programar siguiente frame con intervalo ajustado
-                    const nextInterval = frameCount < CONFIG.recording.targetFrames ? frameInterval : 50;
-                    setTimeout(captureFrame, nextInterval);
-                    
-                } catch (error) {
-                    reject(error);
-                }
-            };
+        const delay = Math.max(0, Math.min(...retryTimes) - Date.now());
+        AppState.upload.timer = setTimeout(() => this.process(), delay);
+    },
 
-            captureFrame();
+    /**
+     * Envía los trozos que faltan de una subida
+     * @param {Object} job - Subida
+     */
+    async uploadJob(job) {
+        job.status = 'uploading';
+        job.retryAt = null;
+        this.render();
+
+        for (let index = job.nextChunk; index < job.chunkCount && !job.cancelled; index++) {
+            await this.sendChunk(job, index);
+            job.nextChunk = index + 1;
+            if (!job.cancelled) {
+                await this.saveJob(job);
+            }
+            this.render();
+        }
+
+        AppState.upload.jobs = AppState.upload.jobs.filter(other => other !== job);
+        await StorageController.deleteUpload(job.id).catch(error => {
+            Utils.log('Error al borrar la subida terminada', error);
         });
+
+        if (job.cancelled) {
+            // La petición de borrado ya está en cola detrás de esta subida
+            Utils.log(`Subida cancelada: ${job.id}`);
+            return;
+        }
+
+        if (job.mode !== 'delete') {
+            AppState.upload.completed++;
+        }
+        Utils.log(`Subida completada: ${job.id}`);
     },
 
     /**
-     * Finaliza una sesión de grabación
-     * @param {Object} session - Sesión completada
+     * Envía un trozo de una subida
+     * @param {Object} job - Subida
+     * @param {number} index - Número de trozo (desde 0)
      */
-    finishSession(session) {
-        AppState.recording.isActive = false;
-        AppState.recording.counter++;
-        AppState.recording.data.push({
-            ...session,
-            timestamp: new Date().toISOString()
-        });
+    async sendChunk(job, index) {
+        // Las cabeceras solo admiten ASCII: los slugs Unicode van codificados
+        const headers = {
+            'X-Upload-Id': encodeURIComponent(job.targetId || job.id),
+            'X-Upload-Mode': job.mode,
+            'X-Chunk-Index': String(index),
+            'X-Chunk-Count': String(job.chunkCount)
+        };
+        if (CONFIG.upload.token) {
+            headers.Authorization = `Bearer ${CONFIG.upload.token}`;
+        }
 
-        // Actualizar UI
-        UIController.updateRecordingCounter();
-        UIController.setButtonStates({
-            recordBtn: false,
-            downloadBtn: false
-        });
-        
-        UIController.updateProgress(0);
-        UIController.updateStatus(
-            `✅ Grabación ${AppState.recording.counter} completada. ${session.frames.length} frames capturados`, 
-            'idle'
-        );
+        let body;
+        if (job.mode === 'delete') {
+            body = null;
+        } else if (job.mode === 'zip') {
+            const start = index * job.chunkSize;
+            body = job.payload.slice(start, start + job.chunkSize, 'application/octet-stream');
+            headers['X-File-Name'] = encodeURIComponent(job.fileName);
+        } else {
+            body = new FormData();
+            body.append('metadata', JSON.stringify(job.payload.metadata));
+            job.payload.files
+                .slice(index * job.chunkSize, (index + 1) * job.chunkSize)
+                .forEach(file => body.append('files', file.blob, file.path));
+        }
 
-        Utils.log(`Grabación completada: ${session.frames.length} frames`);
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), CONFIG.upload.requestTimeout);
+        let response;
+
+        try {
+            response = await fetch(CONFIG.upload.url, { method: 'POST', headers, body, signal: controller.signal });
+        } catch (error) {
+            // Sin conexión, CORS o tiempo agotado
+            const reason = error.name === 'AbortError' ? 'tiempo agotado' : error.message;
+            throw this.createError(`No se pudo contactar con el servidor (${reason})`, true);
+        } finally {
+            clearTimeout(timeout);
+        }
+
+        if (!response.ok) {
+            const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            throw this.createError(`El servidor respondió ${response.status} ${response.statusText}`.trim(), retryable);
+        }
+    },
+
+    /**
+     * Error de subida que indica si merece la pena reintentar
+     * @param {string} message - Mensaje
+     * @param {boolean} retryable - True para fallos temporales
+     * @returns {Error} Error con la propiedad retryable
+     */
+    createError(message, retryable) {
+        const error = new Error(message);
+        error.retryable = retryable;
+        return error;
+    },
+
+    /**
+     * Espera antes del siguiente reintento: se duplica en cada fallo, con algo de azar
+     * para que varios navegadores no reintenten a la vez
+     * @param {number} attempt - Número de intentos fallidos
+     * @returns {number} Espera en milisegundos
+     */
+    getRetryDelay(attempt) {
+        const delay = Math.min(CONFIG.upload.retryMaxDelay, CONFIG.upload.retryBaseDelay * 2 ** (attempt - 1));
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    },
+
+    /**
+     * Vuelve a poner en cola las subidas fallidas
+     */
+    async retryFailed() {
+        for (const job of AppState.upload.jobs.filter(candidate => candidate.status === 'failed')) {
+            job.status = 'pending';
+            job.attempts = 0;
+            job.retryAt = null;
+            job.lastError = null;
+            await this.saveJob(job);
+        }
+
+        this.process();
+    },
+
+    /**
+     * Guarda el progreso de una subida; si falla, la cola sigue en memoria
+     * @param {Object} job - Subida
+     */
+    async saveJob(job) {
+        try {
+            await StorageController.saveUpload(job);
+        } catch (error) {
+            Utils.log('Error al guardar la subida en la base de datos local', error);
+        }
+    },
+
+    /**
+     * Resume el estado de la cola para la interfaz
+     */
+    render() {
+        const jobs = AppState.upload.jobs;
+        const count = status => jobs.filter(job => job.status === status).length;
+        const current = jobs.find(job => job.status === 'uploading');
+        const waiting = jobs.find(job => job.status === 'pending' && job.retryAt);
+        const failed = jobs.filter(job => job.status === 'failed');
+
+        UIController.updateUploadStatus({
+            isEnabled: CONFIG.upload.enabled,
+            isOnline: navigator.onLine,
+            pending: count('pending') + count('uploading'),
+            failed: failed.length,
+            completed: AppState.upload.completed,
+            progress: current && current.mode !== 'delete'
+                ? { id: current.id, chunk: current.nextChunk, total: current.chunkCount }
+                : null,
+            retryAt: waiting ? waiting.retryAt : null,
+            lastError: (waiting || failed[failed.length - 1] || {}).lastError || null
+        });
     }
 };
 
 // =================================================================
-// GESTIÓN DE EXPORTACIÓN
+// IMPORTACIÓN DE ZIP EXPORTADOS
 // =================================================================
 
 /**
- * Controlador de exportación
+ * Reconstruye las grabaciones de un ZIP exportado antes para seguir añadiendo tomas
+ * a la misma seña. Usa manifest.json si existe; si no, la estructura seña/seña_NNN/frame_NNN.
  */
-const ExportController = {
+const ArchiveController = {
+    // Tipos MIME según la extensión de los frames
+    mimeTypes: {
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        png: 'image/png',
+        webp: 'image/webp'
+    },
+
     /**
-     * Genera y descarga el archivo ZIP
+     * Importa las grabaciones de la seña actual desde un ZIP exportado
+     * @param {File} file - Archivo ZIP
+     * @returns {Promise<number>} Número de grabaciones importadas
      */
-    async generateZip() {
-        if (AppState.recording.data.length === 0) {
-            Utils.showError('No hay grabaciones para descargar');
-            return;
-        }
+    async importZip(file) {
+        const signName = AppState.app.currentSignName;
+        if (!file || !signName) return 0;
 
-        if (AppState.app.isProcessing) {
-            Utils.log('Ya se está procesando un ZIP');
-            return;
+        if (AppState.recording.isActive || AppState.app.isProcessing) {
+            Utils.showError('Espera a que termine la grabación o la exportación en curso');
+            return 0;
         }
 
         AppState.app.isProcessing = true;
-        UIController.updateStatus('📦 Generando archivo ZIP...', 'idle');
+        UIController.setButtonStates({ recordBtn: true, importBtn: true, downloadBtn: true });
+        UIController.updateStatus(`📦 Leyendo ${file.name}...`, 'idle');
 
         try {
-            Utils.log('Iniciando generación de ZIP');
-            
-            // Verificar que JSZip esté disponible
-            if (typeof JSZip === 'undefined') {
-                throw new Error('JSZip no está cargado. Verifica la conexión a internet.');
+            const zip = await JSZip.loadAsync(file);
+            const manifests = await this.findManifests(zip, signName);
+
+            const imported = manifests.length > 0
+                ? await this.readFromManifests(zip, manifests)
+                : await this.readFromFolders(zip, signName);
+
+            if (imported.length === 0) {
+                throw new Error(`El ZIP no contiene grabaciones de "${signName}"`);
             }
-            
-            // Verificar que saveAs esté disponible
-            if (typeof saveAs === 'undefined') {
-                throw new Error('FileSaver no está cargado. Verifica la conexión a internet.');
+
+            imported.forEach(recording => {
+                recording.signName = signName;
+                recording.importedFrom = file.name;
+            });
+
+            const count = await this.merge(imported);
+            UIController.updateStatus(
+                `📦 ${count} grabaciones importadas de ${file.name}. La siguiente será la ${Utils.padNumber(AppState.recording.counter + 1)}`,
+                'idle'
+            );
+            return count;
+
+        } catch (error) {
+            Utils.log('Error al importar el ZIP', error);
+            UIController.updateStatus('Error al importar el ZIP', 'error');
+            Utils.showError(`No se pudo importar el ZIP: ${error.message}`);
+            return 0;
+        } finally {
+            AppState.app.isProcessing = false;
+            UIController.resetButtonStates();
+        }
+    },
+
+    /**
+     * Busca los manifest.json de la seña (uno por carpeta, o varios si se exportó con división)
+     * @param {JSZip} zip - ZIP cargado
+     * @param {string} signName - Nombre de la seña
+     * @returns {Promise<Array>} [{ base, manifest }] con la ruta de la carpeta de la seña
+     */
+    async findManifests(zip, signName) {
+        const found = [];
+        const files = zip.file(/(^|\/)manifest\.json$/);
+
+        for (const entry of files) {
+            try {
+                const manifest = JSON.parse(await entry.async('string'));
+                if (manifest.signName === signName && Array.isArray(manifest.recordings)) {
+                    found.push({ base: entry.name.slice(0, -'manifest.json'.length), manifest });
+                }
+            } catch (error) {
+                Utils.log(`Manifiesto no válido en ${entry.name}, se ignora`, error);
             }
-            
-            const zip = new JSZip();
-            const signFolder = zip.folder(AppState.app.currentSignName);
+        }
+
+        return found;
+    },
+
+    /**
+     * Reconstruye las grabaciones a partir de los manifiestos
+     * @param {JSZip} zip - ZIP cargado
+     * @param {Array} manifests - Resultado de findManifests
+     * @returns {Promise<Array>} Grabaciones
+     */
+    async readFromManifests(zip, manifests) {
+        const recordings = [];
+
+        for (const { base, manifest } of manifests) {
+            for (const entry of manifest.recordings) {
+                UIController.updateStatus(`📦 Importando grabación ${entry.recordingNumber}...`, 'idle');
+
+                const frames = [];
+                for (const info of entry.frames || []) {
+                    const data = await this.readFile(zip, `${base}${entry.folder}/${info.file}`, info.mimeType);
+                    if (!data) {
+                        throw new Error(`Falta ${base}${entry.folder}/${info.file}`);
+                    }
+
+                    frames.push({
+                        data,
+                        timestamp: info.timestampMs,
+                        ...(info.targetTimestampMs !== null && info.targetTimestampMs !== undefined && {
+                            targetTimestamp: info.targetTimestampMs
+                        }),
+                        duplicate: Boolean(info.duplicate),
+                        preRoll: Boolean(info.preRoll),
+                        ...(info.sourceTimestampsMs && {
+                            sourceTimestamps: info.sourceTimestampsMs,
+                            blendWeight: info.blendWeight
+                        })
+                    });
+                }
 
-            if (!signFolder) {
-                throw new Error('No se pudo crear la carpeta principal del ZIP');
+                const capturedAt = Date.parse(entry.capturedAt);
+                const format = entry.requestedFormat || entry.format;
+
+                recordings.push({
+                    recordingNumber: entry.recordingNumber,
+                    frames,
+                    startTime: Number.isFinite(capturedAt) ? capturedAt - entry.elapsedMs : null,
+                    endTime: Number.isFinite(capturedAt) ? capturedAt : null,
+                    timestamp: entry.capturedAt || null,
+                    trigger: entry.trigger || 'button',
+                    signer: entry.signer || null,
+                    lengthMode: entry.lengthMode || 'fixed',
+                    captureDurationMs: entry.captureDurationMs,
+                    source: entry.source || { type: 'camera' },
+                    timing: entry.timing || null,
+                    sampling: entry.sampling || { mode: 'live' },
+                    preRollFrames: entry.preRollFrames || 0,
+                    originalTimestamps: entry.originalTimestampsMs || null,
+                    clip: entry.clip ? await this.readFile(zip, `${base}${entry.clip}`, 'video/webm') : null,
+                    settings: {
+                        width: entry.resolution.width,
+                        height: entry.resolution.height,
+                        sourceWidth: entry.sourceResolution ? entry.sourceResolution.width : null,
+                        sourceHeight: entry.sourceResolution ? entry.sourceResolution.height : null,
+                        fitMode: entry.fitMode,
+                        roi: entry.roi,
+                        camera: entry.camera,
+                        format,
+                        encodedFormat: entry.format,
+                        quality: entry.quality,
+                        targetFrames: entry.targetFrames,
+                        duration: entry.targetDurationMs,
+                        preRollFrames: entry.preRollFrames || 0,
+                        lengthMode: entry.lengthMode || 'fixed'
+                    },
+                    qualityCheck: entry.qualityCheck
+                        ? {
+                            label: entry.qualityCheck.label,
+                            reasons: entry.qualityCheck.reasons,
+                            summary: {
+                                sharpness: entry.qualityCheck.sharpness ?? null,
+                                brightness: entry.qualityCheck.brightness ?? null,
+                                motion: entry.qualityCheck.motion ?? null
+                            },
+                            frames: this.getFrameMetrics(entry.frames)
+                        }
+                        : null
+                });
             }
+        }
 
-            // Procesar cada grabación
-            let totalFrames = 0;
-            for (let i = 0; i < AppState.recording.data.length; i++) {
-                const recording = AppState.recording.data[i];
-                UIController.updateStatus(`📁 Procesando grabación ${i + 1} de ${AppState.recording.data.length}...`, 'idle');
-                
-                await this.addRecordingToZip(signFolder, recording);
-                totalFrames += recording.frames.length;
-                
-                // Pequeña pausa para no bloquear la UI
-                await new Promise(resolve => setTimeout(resolve, 10));
+        return recordings;
+    },
+
+    /**
+     * Métricas de calidad por frame guardadas en el manifiesto
+     * @param {Array} frames - Frames del manifiesto
+     * @returns {Array} [{ sharpness, brightness, motion }]
+     */
+    getFrameMetrics(frames) {
+        return (frames || []).map(frame => frame.sharpness === undefined
+            ? null
+            : { sharpness: frame.sharpness, brightness: frame.brightness, motion: frame.motion });
+    },
+
+    /**
+     * Reconstruye las grabaciones solo a partir de las carpetas (ZIP sin manifiesto).
+     * Las rutas se reconocen con las plantillas de nombres y la disposición por signante
+     * activas: un ZIP exportado con otros ajustes necesita su manifest.json.
+     * Los timestamps se reparten según los FPS configurados.
+     * @param {JSZip} zip - ZIP cargado
+     * @param {string} signName - Nombre de la seña
+     * @returns {Promise<Array>} Grabaciones
+     */
+    async readFromFolders(zip, signName) {
+        // Las carpetas usan el slug de la seña, no su nombre visible
+        const slug = this.findSignFolder(zip, signName);
+        const pattern = this.buildPathPattern(slug);
+        const byFolder = new Map();
+
+        zip.forEach((path, entry) => {
+            const match = !entry.dir && path.match(pattern);
+            if (!match) return;
+
+            const { folder, layoutSigner, signer, take, frame, extension } = match.groups;
+            const signerId = layoutSigner || (signer && signer !== CONFIG.signers.noSignerId ? signer : null);
+
+            if (!byFolder.has(folder)) {
+                byFolder.set(folder, {
+                    recordingNumber: parseInt(take, 10),
+                    signerId,
+                    clipPath: `${folder}.webm`,
+                    files: []
+                });
             }
+            byFolder.get(folder).files.push({
+                entry,
+                frameNumber: parseInt(frame, 10),
+                mimeType: this.mimeTypes[extension.toLowerCase()]
+            });
+        });
 
-            // Generar ZIP
-            UIController.updateStatus('📁 Comprimiendo archivos...', 'idle');
-            Utils.log(`Generando ZIP con ${totalFrames} frames en total`);
-            
-            const zipBlob = await zip.generateAsync({ 
-                type: 'blob',
-                compression: 'DEFLATE',
-                compressionOptions: {
-                    level: 6
+        // Si dos carpetas dan el mismo número (p. ej. dos signantes) se conserva la primera
+        const byNumber = new Map();
+        [...byFolder.values()].forEach(found => {
+            if (byNumber.has(found.recordingNumber)) {
+                Utils.log(`Grabación ${found.recordingNumber} repetida en el ZIP, se ignora ${found.clipPath}`);
+                return;
+            }
+            byNumber.set(found.recordingNumber, found);
+        });
+
+        const interval = Utils.getFrameInterval();
+        const recordings = [];
+
+        for (const [recordingNumber, found] of [...byNumber.entries()].sort((a, b) => a[0] - b[0])) {
+            UIController.updateStatus(`📦 Importando grabación ${recordingNumber}...`, 'idle');
+            found.files.sort((a, b) => a.frameNumber - b.frameNumber);
+
+            const frames = [];
+            for (let i = 0; i < found.files.length; i++) {
+                const { entry, mimeType } = found.files[i];
+                frames.push({
+                    data: new Blob([await entry.async('arraybuffer')], { type: mimeType }),
+                    timestamp: Math.round(i * interval)
+                });
+            }
+
+            const recording = {
+                recordingNumber,
+                frames,
+                startTime: null,
+                endTime: null,
+                timestamp: null,
+                trigger: 'button',
+                signer: found.signerId ? { id: found.signerId } : null,
+                lengthMode: 'fixed',
+                source: { type: 'camera' },
+                clip: await this.readFile(zip, found.clipPath, 'video/webm'),
+                settings: { ...RecordingController.getCaptureSettings(), roi: null, format: frames[0].data.type }
+            };
+
+            recording.qualityCheck = await QualityController.analyze(recording).catch(error => {
+                Utils.log(`Error al analizar la calidad de la grabación ${recordingNumber}`, error);
+                return null;
+            });
+            recordings.push(recording);
+        }
+
+        return recordings;
+    },
+
+    /**
+     * Expresión que reconoce los frames de una seña según las plantillas activas:
+     * [división/]seña/[signante/ o signante_]grabación/frame.ext
+     * @param {string} slug - Carpeta de la seña
+     * @returns {RegExp} Expresión con los grupos folder, layoutSigner, signer, take, frame y extension
+     */
+    buildPathPattern(slug) {
+        const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const tokens = {
+            sign: () => escape(slug),
+            signer: () => '[^/]+?',
+            take: () => '\\d+',
+            frame: () => '\\d+',
+            date: () => '\\d{4}-\\d{2}-\\d{2}',
+            time: () => '\\d{2}-\\d{2}-\\d{2}'
+        };
+        const seen = new Set();
+
+        // La primera aparición de un token se captura y las siguientes deben coincidir con ella
+        const toPattern = template => template.split(/(\{\w+\})/).map(part => {
+            const token = (part.match(/^\{(\w+)\}$/) || [])[1];
+            if (!token || !tokens[token]) return escape(part);
+            if (seen.has(token)) return `\\k<${token}>`;
+            seen.add(token);
+            return `(?<${token}>${tokens[token]()})`;
+        }).join('');
+
+        const layout = {
+            folder: '(?:(?<layoutSigner>[^/]+)/)?',
+            prefix: '(?:(?<layoutSigner>[^/]+?)_)?',
+            none: ''
+        }[CONFIG.files.signerLayout] || '';
+
+        const recording = toPattern(CONFIG.files.templates.recording);
+        const frame = toPattern(CONFIG.files.templates.frame);
+
+        return new RegExp(`^(?<folder>(?:.+/)?${escape(slug)}/${layout}${recording})/${frame}\\.(?<extension>jpe?g|png|webp)$`, 'i');
+    },
+
+    /**
+     * Carpeta de la seña en un ZIP sin manifiesto. Si hubo colisión al exportar puede
+     * llevar sufijo (hola_2): se usa el slug guardado en la exportación o, si no lo hay,
+     * la única variante presente
+     * @param {JSZip} zip - ZIP cargado
+     * @param {string} signName - Nombre de la seña
+     * @returns {string} Slug de la carpeta
+     */
+    findSignFolder(zip, signName) {
+        const slug = Utils.slugify(signName);
+        const escaped = slug.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const variantPattern = new RegExp(`^${escaped}(_\\d+)?$`);
+        const variants = new Set();
+
+        zip.forEach((path, entry) => {
+            if (entry.dir) return;
+            path.split('/').slice(0, -2).forEach(segment => {
+                if (variantPattern.test(segment)) variants.add(segment);
+            });
+        });
+
+        const remembered = ExportController.getRememberedSlug(signName);
+        if (remembered && variants.has(remembered)) return remembered;
+        if (variants.size <= 1) return [...variants][0] || slug;
+
+        throw new Error(`Hay varias carpetas para "${signName}" (${[...variants].sort().join(', ')}). ` +
+                        'Importa un ZIP con manifest.json para saber cuál es la suya');
+    },
+
+    /**
+     * Comprueba un ZIP exportado: hashes de checksums.sha256 y número de frames
+     * de cada grabación según los manifiestos
+     * @param {File} file - Archivo ZIP
+     * @returns {Promise<Object>} Informe con archivos ausentes, dañados, sin checksum y recuentos incorrectos
+     */
+    async verifyZip(file) {
+        const report = {
+            fileName: file.name,
+            checked: 0,
+            recordings: 0,
+            hasChecksums: false,
+            missing: [],
+            corrupted: [],
+            unlisted: [],
+            frameCounts: [],
+            errors: []
+        };
+
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(file, { checkCRC32: true });
+        } catch (error) {
+            report.errors.push(`El ZIP está dañado o truncado: ${error.message}`);
+            return this.finishReport(report);
+        }
+
+        const checksums = zip.file(CONFIG.files.checksumsFile);
+        if (checksums) {
+            report.hasChecksums = true;
+            const lines = (await checksums.async('string')).split(/\r?\n/).filter(line => line.trim());
+
+            for (let i = 0; i < lines.length; i++) {
+                const match = lines[i].match(/^([0-9a-f]{64}) [ *](.+)$/i);
+                if (!match) {
+                    report.errors.push(`Línea ${i + 1} de ${CONFIG.files.checksumsFile} no válida`);
+                    continue;
+                }
+
+                const [, expected, path] = match;
+                const entry = zip.file(path);
+                if (!entry) {
+                    report.missing.push(path);
+                    continue;
+                }
+
+                if (i % 50 === 0) {
+                    UIController.updateStatus(`🔎 Verificando ${i + 1} de ${lines.length} archivos...`, 'idle');
+                }
+
+                try {
+                    const hash = await Utils.sha256(await entry.async('arraybuffer'));
+                    if (hash !== expected.toLowerCase()) {
+                        report.corrupted.push(path);
+                    }
+                } catch (error) {
+                    // Un CRC incorrecto también indica un archivo dañado
+                    if (!globalThis.crypto || !crypto.subtle) {
+                        report.errors.push(error.message);
+                        break;
+                    }
+                    report.corrupted.push(path);
+                }
+                report.checked++;
+            }
+
+            // Un archivo añadido después de exportar no tiene hash con el que comprobarlo
+            const listed = new Set(lines.map(line => (line.match(/^[0-9a-f]{64} [ *](.+)$/i) || [])[1]));
+            zip.forEach((path, entry) => {
+                if (!entry.dir && path !== CONFIG.files.checksumsFile && !listed.has(path)) {
+                    report.unlisted.push(path);
                 }
             });
+        } else {
+            report.errors.push(`El ZIP no contiene ${CONFIG.files.checksumsFile}: solo se comprueban los recuentos de frames`);
+        }
 
-            if (!zipBlob || zipBlob.size === 0) {
-                throw new Error('El archivo ZIP generado está vacío');
+        for (const entry of zip.file(/(^|\/)manifest\.json$/)) {
+            const base = entry.name.slice(0, -'manifest.json'.length);
+            let manifest;
+            try {
+                manifest = JSON.parse(await entry.async('string'));
+            } catch (error) {
+                report.corrupted.push(entry.name);
+                continue;
             }
 
-            // Descargar archivo
-            const fileName = Utils.generateFileName(AppState.app.currentSignName);
-            Utils.log(`Descargando ZIP: ${fileName} (${(zipBlob.size / 1024 / 1024).toFixed(2)} MB)`);
-            
-            saveAs(zipBlob, fileName);
+            for (const recording of manifest.recordings || []) {
+                const folder = `${base}${recording.folder}/`;
+                const listed = (recording.frames || []).map(frame => `${folder}${frame.file}`);
+                const found = zip.file(/[^/]$/).filter(frame => frame.name.startsWith(folder) &&
+                                                          !frame.name.slice(folder.length).includes('/'));
+                const expected = recording.frameCount ?? listed.length;
 
-            UIController.updateStatus(`✅ ZIP descargado: ${fileName}`, 'idle');
-            Utils.log(`ZIP generado exitosamente: ${fileName}`);
+                listed.filter(path => !zip.file(path) && !report.missing.includes(path))
+                    .forEach(path => report.missing.push(path));
 
-        } catch (error) {
-            Utils.log('Error al generar ZIP', error);
-            UIController.updateStatus('❌ Error al generar ZIP', 'error');
-            
-            // Mostrar error más específico
-            let errorMessage = 'Error al generar el archivo ZIP';
-            if (error.message.includes('JSZip')) {
-                errorMessage = 'Error: JSZip no está disponible. Recarga la página.';
-            } else if (error.message.includes('FileSaver')) {
-                errorMessage = 'Error: FileSaver no está disponible. Recarga la página.';
-            } else if (error.message.includes('base64')) {
-                errorMessage = 'Error: Datos de imagen corruptos. Intenta grabar nuevamente.';
-            } else if (error.name === 'QuotaExceededError') {
-                errorMessage = 'Error: No hay suficiente espacio en memoria. Reduce el número de grabaciones.';
+                if (found.length !== expected) {
+                    report.frameCounts.push({ folder: `${base}${recording.folder}`, expected, found: found.length });
+                }
+                report.recordings++;
             }
-            
-            Utils.showError(errorMessage);
-        } finally {
-            AppState.app.isProcessing = false;
         }
+
+        return this.finishReport(report);
     },
 
     /**
-     * Añade una grabación al ZIP
-     * @param {Object} signFolder - Carpeta del ZIP
-     * @param {Object} recording - Datos de grabación
+     * Marca el informe como correcto si no hay problemas
+     * @param {Object} report - Informe de verifyZip
+     * @returns {Object} El mismo informe con isValid
      */
-    async addRecordingToZip(signFolder, recording) {
-        try {
-            // Validar datos de grabación
-            if (!recording || !recording.frames || !Array.isArray(recording.frames)) {
-                throw new Error(`Datos de grabación inválidos para grabación ${recording?.recordingNumber || 'desconocida'}`);
-            }
-
-            if (recording.frames.length === 0) {
-                Utils.log(`Advertencia: Grabación ${recording.recordingNumber} no tiene frames, se omite`);
-                return;
-            }
+    finishReport(report) {
+        report.isValid = report.missing.length === 0 &&
+                         report.corrupted.length === 0 &&
+                         report.unlisted.length === 0 &&
+                         report.frameCounts.length === 0 &&
+                         report.hasChecksums &&
+                         report.errors.length === 0;
+        Utils.log('Verificación del ZIP', report);
+        return report;
+    },
 
-            const recordingFolderName = `${recording.signName}_${Utils.padNumber(recording.recordingNumber)}`;
-            const recordingFolder = signFolder.folder(recordingFolderName);
+    /**
+     * Lee un archivo del ZIP como Blob con su tipo MIME
+     * @param {JSZip} zip - ZIP cargado
+     * @param {string} path - Ruta dentro del ZIP
+     * @param {string} mimeType - Tipo MIME
+     * @returns {Promise<Blob|null>} Contenido o null si no existe
+     */
+    async readFile(zip, path, mimeType) {
+        const entry = zip.file(path);
+        if (!entry) return null;
 
-            if (!recordingFolder) {
-                throw new Error(`No se pudo crear la carpeta: ${recordingFolderName}`);
-            }
+        return new Blob([await entry.async('arraybuffer')], { type: mimeType || '' });
+    },
 
-            // Procesar cada frame
-            for (let i = 0; i < recording.frames.length; i++) {
-                const frame = recording.frames[i];
-                
-                // Validar frame
-                if (!frame || !frame.data) {
-                    Utils.log(`Advertencia: Frame ${i + 1} de grabación ${recording.recordingNumber} está vacío, se omite`);
-                    continue;
-                }
+    /**
+     * Une las grabaciones importadas con las de la sesión. Las importadas conservan su
+     * número; si alguna de la sesión actual choca, las de la sesión pasan detrás.
+     * @param {Array} imported - Grabaciones importadas
+     * @returns {Promise<number>} Número de grabaciones importadas
+     */
+    async merge(imported) {
+        const numbers = new Set();
+        const unique = imported
+            .sort((a, b) => a.recordingNumber - b.recordingNumber)
+            .filter(recording => {
+                if (numbers.has(recording.recordingNumber)) return false;
+                numbers.add(recording.recordingNumber);
+                return true;
+            });
 
-                // Validar formato de datos
-                if (!frame.data.startsWith('data:image/')) {
-                    throw new Error(`Frame ${i + 1} no tiene formato de imagen válido`);
-                }
+        const lastImported = unique[unique.length - 1].recordingNumber;
+        const existing = [...AppState.recording.data].sort((a, b) => a.recordingNumber - b.recordingNumber);
+        const local = existing.some(recording => numbers.has(recording.recordingNumber))
+            ? existing.map((recording, index) => ({ ...recording, recordingNumber: lastImported + index + 1 }))
+            : existing;
+        const renumbered = local
+            .map((recording, index) => ({ recording, previousNumber: existing[index].recordingNumber }))
+            .filter(({ recording, previousNumber }) => recording.recordingNumber !== previousNumber);
 
-                const frameFileName = `frame_${Utils.padNumber(i + 1)}.jpg`;
-                
-                try {
-                    // Convertir dataURL a base64
-                    const base64Data = frame.data.split(',')[1];
-                    
-                    if (!base64Data || base64Data.length === 0) {
-                        throw new Error(`Frame ${i + 1} no contiene datos base64 válidos`);
-                    }
+        AppState.recording.data = [...unique, ...local].sort((a, b) => a.recordingNumber - b.recordingNumber);
+        AppState.recording.counter = AppState.recording.data.reduce((max, rec) => Math.max(max, rec.recordingNumber), 0);
 
-                    recordingFolder.file(frameFileName, base64Data, { base64: true });
-                    
-                } catch (frameError) {
-                    Utils.log(`Error procesando frame ${i + 1}:`, frameError);
-                    throw new Error(`Error en frame ${i + 1}: ${frameError.message}`);
-                }
-            }
+        UIController.updateRecordingCounter();
+        ReviewController.render();
 
-            Utils.log(`Grabación añadida al ZIP: ${recordingFolderName} (${recording.frames.length} frames)`);
-            
+        try {
+            await StorageController.replaceRecordings(AppState.app.currentSignName, AppState.recording.data);
+            await StorageController.saveCurrentSession();
         } catch (error) {
-            Utils.log(`Error añadiendo grabación al ZIP:`, error);
-            throw error;
+            Utils.log('Error al guardar las grabaciones importadas en la base de datos local', error);
+        }
+
+        // Igual que al eliminar: el servidor no debe quedarse con la numeración antigua
+        if (renumbered.length > 0) {
+            await UploadController.onRecordingsRenumbered(renumbered);
         }
+
+        await QueueController.onRecordingFinished();
+
+        Utils.log(`ZIP importado: ${unique.length} grabaciones, contador en ${AppState.recording.counter}`);
+        return unique.length;
     }
 };
 
@@ -916,6 +6969,14 @@ const AppController = {
         try {
             Utils.log('Iniciando aplicación Script Frames');
             await UIController.init();
+            SettingsController.init();
+            SignerController.init();
+            RoiController.init();
+            HandsFreeController.init();
+            EncoderController.init();
+            await StorageController.init();
+            await UploadController.init();
+            await this.checkPendingSession();
             Utils.log('Aplicación inicializada correctamente');
         } catch (error) {
             Utils.log('Error al inicializar la aplicación', error);
@@ -923,6 +6984,73 @@ const AppController = {
         }
     },
 
+    /**
+     * Busca una sesión guardada y ofrece reanudarla
+     */
+    async checkPendingSession() {
+        try {
+            const session = await StorageController.loadSession();
+            AppState.storage.pendingSession = session && (session.counter > 0 || session.queue) ? session : null;
+            UIController.showResumeOffer(AppState.storage.pendingSession);
+        } catch (error) {
+            Utils.log('Error al buscar una sesión guardada', error);
+        }
+    },
+
+    /**
+     * Reanuda la sesión guardada en la base de datos local
+     */
+    async resumeSession() {
+        const session = AppState.storage.pendingSession;
+        if (!session) {
+            Utils.showError('No hay ninguna sesión guardada para reanudar');
+            return;
+        }
+
+        try {
+            const recordings = await StorageController.getRecordings(session.signName);
+            const lastNumber = recordings.reduce((max, rec) => Math.max(max, rec.recordingNumber), 0);
+
+            AppState.recording.data = recordings;
+            AppState.recording.counter = Math.max(session.counter, lastNumber);
+            AppState.app.currentSignName = session.signName;
+
+            if (session.queue) {
+                QueueController.restore(session.queue);
+                QueueController.syncCurrent();
+            } else {
+                QueueController.reset();
+            }
+
+            UIController.updateSignName(session.signName);
+            UIController.updateRecordingCounter();
+            ReviewController.render();
+            UIController.showResumeOffer(null);
+            UIController.switchView('recording');
+
+            Utils.log(`Sesión reanudada: ${session.signName} (${recordings.length} grabaciones)`);
+
+            await this.initVideoSource();
+
+        } catch (error) {
+            Utils.log('Error al reanudar la sesión', error);
+            UIController.switchView('initial');
+        }
+    },
+
+    /**
+     * Descarta la sesión guardada en la base de datos local
+     */
+    async discardSession() {
+        try {
+            await StorageController.clear();
+            UIController.showResumeOffer(null);
+        } catch (error) {
+            Utils.log('Error al descartar la sesión guardada', error);
+            Utils.showError('No se pudo descartar la sesión guardada');
+        }
+    },
+
     /**
      * Inicia el proceso de grabación (cambia a vista de grabación)
      */
@@ -937,11 +7065,23 @@ const AppController = {
                 return;
             }
 
+            // Una sesión guardada con el mismo nombre se reanuda en lugar de sobrescribirse
+            const pending = AppState.storage.pendingSession;
+            if (pending && !pending.queue && pending.signName === validation.name) {
+                await this.resumeSession();
+                return;
+            }
+
+            if (!(await this.confirmDiscardPending())) return;
+
+            QueueController.reset();
             AppState.app.currentSignName = validation.name;
+            await StorageController.saveCurrentSession();
+
             UIController.updateSignName(validation.name);
             UIController.switchView('recording');
             
-            await CameraController.init();
+            await this.initVideoSource();
             
         } catch (error) {
             Utils.log('Error al iniciar grabación', error);
@@ -949,6 +7089,271 @@ const AppController = {
         }
     },
 
+    /**
+     * Pide confirmación para descartar la sesión guardada, si existe
+     * @returns {Promise<boolean>} True si se puede empezar una sesión nueva
+     */
+    async confirmDiscardPending() {
+        const pending = AppState.storage.pendingSession;
+        if (!pending) return true;
+
+        const discard = confirm(
+            `Hay una sesión guardada de "${pending.signName}" con ${pending.counter} grabaciones.\n` +
+            `Si comienzas una sesión nueva se descartará. ¿Continuar?`
+        );
+        if (!discard) return false;
+
+        await this.discardSession();
+        return true;
+    },
+
+    /**
+     * Inicia el modo vocabulario con la lista pegada o cargada
+     */
+    async startQueue() {
+        try {
+            const listInput = document.getElementById('vocabularyList');
+            const repetitionsInput = document.getElementById('vocabularyRepetitions');
+            const defaultRepetitions = parseInt(repetitionsInput?.value, 10) || CONFIG.queue.defaultRepetitions;
+
+            const { signs, errors } = QueueController.parseList(listInput?.value || '', defaultRepetitions);
+
+            if (errors.length > 0) {
+                Utils.showError(`Revisa la lista de vocabulario:\n\n${errors.slice(0, 10).join('\n')}` +
+                                (errors.length > 10 ? `\n... y ${errors.length - 10} errores más` : ''));
+                return;
+            }
+
+            if (signs.length === 0) {
+                Utils.showError('La lista de vocabulario está vacía');
+                listInput?.focus();
+                return;
+            }
+
+            if (!(await this.confirmDiscardPending())) return;
+
+            QueueController.start(signs);
+            UIController.switchView('recording');
+            await QueueController.loadSign(0);
+
+            await this.initVideoSource();
+
+        } catch (error) {
+            Utils.log('Error al iniciar el modo vocabulario', error);
+            UIController.switchView('initial');
+        }
+    },
+
+    /**
+     * Carga una lista de vocabulario desde un archivo de texto
+     * @param {File} file - Archivo .txt o .csv
+     */
+    async loadVocabularyFile(file) {
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            const listInput = document.getElementById('vocabularyList');
+            if (listInput) {
+                listInput.value = text;
+            }
+            Utils.log(`Lista de vocabulario cargada: ${file.name}`);
+        } catch (error) {
+            Utils.log('Error al leer la lista de vocabulario', error);
+            Utils.showError('No se pudo leer el archivo de vocabulario');
+        }
+    },
+
+    /**
+     * Salta a la siguiente seña pendiente de la lista
+     */
+    async skipSign() {
+        if (!AppState.queue.isActive || AppState.recording.isActive) return;
+
+        try {
+            await QueueController.advance(true);
+        } catch (error) {
+            Utils.log('Error al saltar de seña', error);
+        }
+    },
+
+    /**
+     * Inicia la cámara; si no está disponible, la vista sigue activa para importar videos
+     */
+    async initVideoSource() {
+        try {
+            await CameraController.init();
+        } catch (error) {
+            UIController.updateStatus('Cámara no disponible. Puedes importar un video local', 'error');
+        }
+
+        UIController.resetButtonStates();
+    },
+
+    /**
+     * Carga un video local como fuente de frames
+     * @param {File} file - Archivo seleccionado
+     */
+    async loadVideoFile(file) {
+        if (!file) return;
+
+        try {
+            // El disparo por movimiento solo tiene sentido con la cámara en vivo
+            HandsFreeController.stop();
+            const duration = await CameraController.loadVideoFile(file);
+            UIController.setImportRange(0, duration);
+            UIController.updateStatus(`🎞️ Video cargado: ${file.name} (${duration.toFixed(1)} s)`, 'idle');
+        } catch (error) {
+            Utils.log('Error al cargar el video', error);
+            UIController.updateStatus('Error al cargar el video', 'error');
+            Utils.showError(error.message);
+        }
+
+        UIController.resetButtonStates();
+    },
+
+    /**
+     * Importa un ZIP exportado antes para continuar la numeración de la seña
+     * @param {File} file - Archivo ZIP
+     */
+    async importArchive(file) {
+        if (!file) return;
+
+        HandsFreeController.stop();
+        await ArchiveController.importZip(file);
+
+        const input = document.getElementById('archiveFile');
+        if (input) {
+            input.value = '';
+        }
+    },
+
+    /**
+     * Verifica la integridad de un ZIP exportado y muestra el informe
+     * @param {File} file - Archivo ZIP
+     */
+    async verifyArchive(file) {
+        if (!file) return;
+
+        UIController.showVerifyReport(null);
+        try {
+            UIController.showVerifyReport(await ArchiveController.verifyZip(file));
+        } catch (error) {
+            Utils.log('Error al verificar el ZIP', error);
+            Utils.showError(`No se pudo verificar el ZIP: ${error.message}`);
+        }
+
+        const input = document.getElementById('verifyFile');
+        if (input) {
+            input.value = '';
+        }
+    },
+
+    /**
+     * Extrae frames del video importado en el rango indicado
+     */
+    async importVideo() {
+        try {
+            await RecordingController.importVideo(UIController.getImportRange());
+        } catch (error) {
+            Utils.log('Error al importar el video', error);
+            Utils.showError('Error al extraer frames del video');
+        }
+    },
+
+    /**
+     * Vuelve a usar la cámara tras importar un video
+     */
+    async useCamera() {
+        if (AppState.recording.isActive) return;
+
+        UIController.resetImportForm();
+        await this.initVideoSource();
+    },
+
+    /**
+     * Cambia la cámara activa
+     * @param {string} deviceId - Identificador de la cámara
+     */
+    async selectCamera(deviceId) {
+        if (AppState.recording.isActive) return;
+
+        try {
+            UIController.resetImportForm();
+            await CameraController.selectDevice(deviceId);
+        } catch (error) {
+            Utils.log('Error al cambiar de cámara', error);
+        }
+
+        UIController.resetButtonStates();
+    },
+
+    /**
+     * Crea un perfil de signante con los datos del formulario
+     */
+    addSigner() {
+        const value = id => document.getElementById(id)?.value || '';
+
+        const profile = SignerController.add({
+            id: value('signerId'),
+            dominantHand: value('signerHand'),
+            ageRange: value('signerAge'),
+            gender: value('signerGender'),
+            notes: value('signerNotes'),
+            consent: Boolean(document.getElementById('signerConsent')?.checked)
+        });
+
+        if (profile) {
+            UIController.resetSignerForm();
+        }
+    },
+
+    /**
+     * Borra el perfil del signante activo
+     */
+    removeSigner() {
+        const signer = SignerController.getActive();
+        if (!signer) return;
+
+        if (confirm(`¿Eliminar el perfil "${signer.id}"? Las grabaciones ya hechas conservan sus datos.`)) {
+            SignerController.remove(signer.id);
+        }
+    },
+
+    /**
+     * Abre la vista de ajustes
+     */
+    openSettings() {
+        SettingsController.fillForm(SettingsController.getCurrent());
+        UIController.switchView('settings');
+    },
+
+    /**
+     * Guarda los ajustes y vuelve a la vista inicial
+     */
+    saveSettings() {
+        if (SettingsController.save()) {
+            UIController.switchView('initial');
+            UploadController.process();
+        }
+    },
+
+    /**
+     * Restaura los ajustes por defecto
+     */
+    resetSettings() {
+        if (confirm('¿Restaurar los ajustes de captura por defecto?')) {
+            SettingsController.reset();
+        }
+    },
+
+    /**
+     * Cierra la vista de ajustes sin guardar
+     */
+    closeSettings() {
+        UIController.switchView('initial');
+    },
+
     /**
      * Graba frames de video
      */
@@ -987,18 +7392,26 @@ const AppController = {
     goBack() {
         try {
             // Limpiar recursos
+            HandsFreeController.stop();
+            RoiController.clear();
             CameraController.cleanup();
+            UIController.resetImportForm();
             
             // Resetear estado
             AppState.recording.data = [];
             AppState.recording.counter = 0;
             AppState.app.currentSignName = '';
             AppState.app.isProcessing = false;
+            QueueController.reset();
             
             // Actualizar UI
             UIController.switchView('initial');
             UIController.resetInitialForm();
             UIController.updateRecordingCounter();
+            ReviewController.render();
+
+            // Las grabaciones siguen guardadas: ofrecer reanudarlas
+            this.checkPendingSession();
             
             Utils.log('Regresado a vista inicial');
             
@@ -1026,19 +7439,48 @@ document.addEventListener('DOMContentLoaded', async () => {
 // Exponer funciones principales para uso en HTML
 window.ScriptFrames = {
     startRecording: () => AppController.startRecording(),
+    resumeSession: () => AppController.resumeSession(),
+    startQueue: () => AppController.startQueue(),
+    loadVocabularyFile: (file) => AppController.loadVocabularyFile(file),
+    skipSign: () => AppController.skipSign(),
+    discardSession: () => AppController.discardSession(),
     recordFrames: () => AppController.recordFrames(),
+    stopRecording: () => RecordingController.stopSession(),
+    editRoi: () => RoiController.startEditing(),
+    lockRoi: () => RoiController.lock(),
+    clearRoi: () => RoiController.clear(),
+    toggleHandsFree: () => HandsFreeController.toggle(),
+    setHandsFreeSensitivity: (value) => HandsFreeController.setSensitivity(value),
+    loadVideoFile: (file) => AppController.loadVideoFile(file),
+    importVideo: () => AppController.importVideo(),
+    importArchive: (file) => AppController.importArchive(file),
+    verifyArchive: (file) => AppController.verifyArchive(file),
+    useCamera: () => AppController.useCamera(),
+    selectCamera: (deviceId) => AppController.selectCamera(deviceId),
     downloadZip: () => AppController.downloadZip(),
+    retryUploads: () => UploadController.retryFailed(),
     goBack: () => AppController.goBack(),
+    addSigner: () => AppController.addSigner(),
+    removeSigner: () => AppController.removeSigner(),
+    selectSigner: (id) => SignerController.setActive(id),
+    setSignerConsent: (consent) => SignerController.setConsent(consent),
+    openSettings: () => AppController.openSettings(),
+    saveSettings: () => AppController.saveSettings(),
+    resetSettings: () => AppController.resetSettings(),
+    closeSettings: () => AppController.closeSettings(),
+    previewNaming: () => SettingsController.updateNamingPreview(),
     
     // Funciones de debug (usar en consola del navegador)
     debug: {
         getState: () => AppState,
         getConfig: () => CONFIG,
         validateLibraries: () => Utils.validateLibraries(),
-        clearRecordings: () => {
+        clearRecordings: async () => {
             AppState.recording.data = [];
             AppState.recording.counter = 0;
+            await StorageController.clear();
             UIController.updateRecordingCounter();
+            ReviewController.render();
             console.log('Grabaciones eliminadas');
         },
         testZip: async () => {
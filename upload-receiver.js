@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+/**
+ * Script Frames - Receptor de subidas de referencia para pruebas locales
+ *
+ * Uso:
+ *   node upload-receiver.js [carpeta]
+ *
+ * Variables de entorno:
+ *   PORT   Puerto (8787 por defecto)
+ *   TOKEN  Si se define, exige "Authorization: Bearer <TOKEN>"
+ *
+ * En los ajustes de la aplicación, usa http://localhost:8787/upload como dirección.
+ * Solo usa módulos de Node (18 o superior). No está pensado para producción:
+ * no limita el espacio en disco ni el número de subidas simultáneas.
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const TOKEN = process.env.TOKEN || '';
+const OUTPUT_DIR = path.resolve(process.argv[2] || 'uploads');
+const PARTIAL_DIR = path.join(OUTPUT_DIR, '.partial');
+const INDEX_DIR = path.join(OUTPUT_DIR, '.index');
+const MAX_BODY_SIZE = 64 * 1024 * 1024;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-Upload-Id, X-Upload-Mode, X-Chunk-Index, X-Chunk-Count, X-File-Name'
+};
+
+/**
+ * Responde con JSON
+ * @param {http.ServerResponse} res - Respuesta
+ * @param {number} status - Código HTTP
+ * @param {Object} body - Contenido
+ */
+function send(res, status, body) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Decodifica una cabecera enviada con encodeURIComponent
+ * @param {string} value - Valor de la cabecera
+ * @returns {string|null} Texto decodificado o null si está mal codificado
+ */
+function decodeHeader(value) {
+    try {
+        return decodeURIComponent(value || '');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Resuelve una ruta relativa dentro de una carpeta, rechazando '..' y rutas absolutas
+ * @param {string} base - Carpeta base
+ * @param {string} relative - Ruta enviada por el cliente
+ * @returns {string|null} Ruta absoluta o null si no es segura
+ */
+function safeJoin(base, relative) {
+    const segments = String(relative || '').split(/[\\/]+/).filter(Boolean);
+    if (segments.length === 0 || segments.some(segment => segment === '..' || segment === '.')) {
+        return null;
+    }
+
+    const resolved = path.resolve(base, ...segments);
+    return resolved.startsWith(base + path.sep) ? resolved : null;
+}
+
+/**
+ * Ruta del índice con los archivos escritos para una subida
+ * @param {string} id - Identificador de la subida
+ * @returns {string} Ruta del índice
+ */
+function indexPath(id) {
+    return path.join(INDEX_DIR, `${id}.json`);
+}
+
+/**
+ * Lee los archivos registrados para una subida
+ * @param {string} id - Identificador de la subida
+ * @returns {Array<string>} Rutas relativas a la carpeta de salida
+ */
+function readIndex(id) {
+    try {
+        return JSON.parse(fs.readFileSync(indexPath(id), 'utf8'));
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Registra archivos escritos para una subida. Si otra subida los había escrito antes
+ * (una toma renumerada ocupa la carpeta de otra), dejan de ser suyos para que borrarla
+ * no se lleve los nuevos.
+ * @param {string} id - Identificador de la subida
+ * @param {Array<string>} targets - Rutas absolutas escritas
+ */
+function claimFiles(id, targets) {
+    const relative = targets.map(target => path.relative(OUTPUT_DIR, target));
+    fs.mkdirSync(INDEX_DIR, { recursive: true });
+
+    for (const name of fs.readdirSync(INDEX_DIR)) {
+        const otherId = name.replace(/\.json$/, '');
+        if (otherId === id) continue;
+
+        const files = readIndex(otherId);
+        const kept = files.filter(file => !relative.includes(file));
+        if (kept.length !== files.length) {
+            fs.writeFileSync(indexPath(otherId), JSON.stringify(kept));
+        }
+    }
+
+    const files = new Set([...readIndex(id), ...relative]);
+    fs.writeFileSync(indexPath(id), JSON.stringify([...files]));
+}
+
+/**
+ * Borra todo lo recibido para una subida: archivos registrados, trozos e índice
+ * @param {Object} upload - Cabeceras de la subida
+ * @returns {Object} Estado del borrado
+ */
+function deleteUpload(upload) {
+    const files = readIndex(upload.id);
+    for (const file of files) {
+        const target = safeJoin(OUTPUT_DIR, file);
+        if (target) {
+            fs.rmSync(target, { force: true });
+        }
+    }
+
+    fs.rmSync(path.join(PARTIAL_DIR, upload.id), { recursive: true, force: true });
+    fs.rmSync(indexPath(upload.id), { force: true });
+
+    console.log(`🗑️ ${upload.id} (${files.length} archivos)`);
+    return { deleted: files.length, complete: true };
+}
+
+/**
+ * Lee el cuerpo completo de la petición
+ * @param {http.IncomingMessage} req - Petición
+ * @returns {Promise<Buffer>} Cuerpo
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(Object.assign(new Error('Cuerpo demasiado grande'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Guarda un trozo de un ZIP y lo une cuando han llegado todos
+ * @param {Object} upload - Cabeceras de la subida
+ * @param {Buffer} body - Bytes del trozo
+ * @returns {Object} Estado de la subida
+ */
+function receiveZipChunk(upload, body) {
+    const fileName = upload.fileName || `${upload.id}.zip`;
+    const target = safeJoin(OUTPUT_DIR, fileName);
+    const partialDir = safeJoin(PARTIAL_DIR, upload.id);
+    if (!target || !partialDir) {
+        throw Object.assign(new Error('Nombre de archivo no válido'), { status: 400 });
+    }
+
+    // Cada trozo se guarda con su número: recibir el mismo dos veces no cambia nada
+    fs.mkdirSync(partialDir, { recursive: true });
+    fs.writeFileSync(path.join(partialDir, `${upload.index}.part`), body);
+
+    const received = fs.readdirSync(partialDir).filter(name => name.endsWith('.part')).length;
+    if (received < upload.count) {
+        return { received, total: upload.count, complete: false };
+    }
+
+    const parts = [];
+    for (let index = 0; index < upload.count; index++) {
+        parts.push(fs.readFileSync(path.join(partialDir, `${index}.part`)));
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, Buffer.concat(parts));
+    fs.rmSync(partialDir, { recursive: true, force: true });
+    claimFiles(upload.id, [target]);
+
+    console.log(`✅ ${path.relative(OUTPUT_DIR, target)} (${upload.count} trozos)`);
+    return { received, total: upload.count, complete: true };
+}
+
+/**
+ * Guarda los frames de un lote multipart y los metadatos de la grabación
+ * @param {Object} upload - Cabeceras de la subida
+ * @param {Buffer} body - Cuerpo multipart/form-data
+ * @param {string} contentType - Cabecera Content-Type con el boundary
+ * @returns {Promise<Object>} Estado de la subida
+ */
+async function receiveMultipartChunk(upload, body, contentType) {
+    const form = await new Response(body, { headers: { 'Content-Type': contentType } }).formData();
+    const metadata = form.get('metadata');
+    const files = form.getAll('files');
+    const written = [];
+
+    for (const file of files) {
+        const target = safeJoin(OUTPUT_DIR, file.name);
+        if (!target) {
+            throw Object.assign(new Error(`Ruta no válida: ${file.name}`), { status: 400 });
+        }
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, Buffer.from(await file.arrayBuffer()));
+        written.push(target);
+    }
+
+    if (typeof metadata === 'string') {
+        const target = safeJoin(OUTPUT_DIR, `${upload.id}.json`);
+        if (target) {
+            fs.writeFileSync(target, metadata);
+            written.push(target);
+        }
+    }
+
+    claimFiles(upload.id, written);
+
+    if (upload.index === upload.count - 1) {
+        console.log(`✅ ${upload.id} (${upload.count} lotes)`);
+    }
+    return { received: upload.index + 1, total: upload.count, complete: upload.index === upload.count - 1 };
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        send(res, 405, { error: 'Solo se admite POST' });
+        return;
+    }
+
+    if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+        send(res, 401, { error: 'Token no válido' });
+        return;
+    }
+
+    const upload = {
+        id: decodeHeader(req.headers['x-upload-id']),
+        mode: req.headers['x-upload-mode'],
+        index: Number(req.headers['x-chunk-index']),
+        count: Number(req.headers['x-chunk-count']),
+        fileName: decodeHeader(req.headers['x-file-name'])
+    };
+
+    // Una cabecera mal codificada es un error del cliente, no del receptor
+    if (upload.id === null || upload.fileName === null ||
+        !/^[\p{L}\p{M}\p{N}_.-]+$/u.test(upload.id) || upload.id.startsWith('.') ||
+        !Number.isInteger(upload.index) || !Number.isInteger(upload.count) ||
+        upload.index < 0 || upload.index >= upload.count) {
+        send(res, 400, { error: 'Cabeceras de subida no válidas' });
+        return;
+    }
+
+    try {
+        const body = await readBody(req);
+        let result;
+        if (upload.mode === 'delete') {
+            result = deleteUpload(upload);
+        } else if (upload.mode === 'multipart') {
+            result = await receiveMultipartChunk(upload, body, req.headers['content-type'] || '');
+        } else {
+            result = receiveZipChunk(upload, body);
+        }
+
+        console.log(`📥 ${upload.id}: trozo ${upload.index + 1}/${upload.count}`);
+        send(res, 200, result);
+    } catch (error) {
+        console.error(`❌ ${upload.id}:`, error.message);
+        send(res, error.status || 500, { error: error.message });
+    }
+});
+
+fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+server.listen(PORT, () => {
+    console.log(`Receptor de Script Frames en http://localhost:${PORT}/upload`);
+    console.log(`Guardando en ${OUTPUT_DIR}${TOKEN ? ' (con token)' : ''}`);
+});